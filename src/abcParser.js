@@ -6,8 +6,13 @@
  * para reconstruir la música original.
  */
 
+const Fraction = require('./fraction');
+const MacroExpander = require('./macroExpander');
+const Diagnostics = require('./diagnostics');
+const SyntaxTree = require('./syntaxTree');
+
 class ABCParser {
-    constructor() {
+    constructor(options = {}) {
         // Mapeo de notas a frecuencias MIDI (C4 = 60)
         this.noteToMidi = {
             'C': 60, 'D': 62, 'E': 64, 'F': 65, 'G': 67, 'A': 69, 'B': 71,
@@ -29,36 +34,236 @@ class ABCParser {
             '8': 0.5,  // corchea
             '16': 0.25 // semicorchea
         };
+
+        // Orden en que aparecen sostenidos y bemoles en la armadura
+        this.sharpOrder = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+        this.flatOrder = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+        // Posición de cada nota natural en el círculo de quintas (C = 0)
+        this.letterFifths = {
+            'F': -1, 'C': 0, 'G': 1, 'D': 2, 'A': 3, 'E': 4, 'B': 5
+        };
+
+        // Desplazamiento de cada modo respecto al mayor de la misma tónica
+        this.modes = {
+            'maj': 0, 'ion': 0,
+            'lyd': 1,
+            'mix': -1,
+            'dor': -2,
+            'min': -3, 'aeo': -3, 'm': -3,
+            'phr': -4,
+            'loc': -5
+        };
+
+        // Símbolos de usuario (U:) y macros (m:) del cuerpo
+        this.macroExpander = new MacroExpander();
+
+        // Límites del orden de partes (P:A1000 no puede colgar la conversión):
+        // veces que se repite una parte o grupo y partes en total
+        this.maxPartRepeat = 100;
+        this.maxParts = 200;
+
+        // Negras por minuto de los términos de tempo (Q:"Andante"); se
+        // pueden cambiar o ampliar con options.tempoTerms
+        this.tempoTerms = {
+            'larghissimo': 24, 'grave': 35, 'largo': 50, 'lento': 52,
+            'larghetto': 63, 'adagio': 71, 'adagietto': 74,
+            'andante': 92, 'andantino': 94, 'moderato': 114,
+            'allegretto': 116, 'allegro': 138, 'vivace': 166,
+            'vivacissimo': 174, 'presto': 184, 'prestissimo': 208,
+            ...options.tempoTerms
+        };
+
+        // Intervalos (semitonos desde la fundamental) de cada tipo de acorde
+        // de los símbolos de acorde ("Am", "G7", "Bbmaj7/D")
+        this.chordQualities = {
+            '': [0, 4, 7], 'maj': [0, 4, 7], 'M': [0, 4, 7],
+            'm': [0, 3, 7], 'min': [0, 3, 7], '-': [0, 3, 7],
+            '7': [0, 4, 7, 10], 'dom7': [0, 4, 7, 10],
+            'm7': [0, 3, 7, 10], 'min7': [0, 3, 7, 10], '-7': [0, 3, 7, 10],
+            'maj7': [0, 4, 7, 11], 'M7': [0, 4, 7, 11],
+            'mmaj7': [0, 3, 7, 11],
+            '6': [0, 4, 7, 9], 'm6': [0, 3, 7, 9],
+            '9': [0, 4, 7, 10, 14], 'm9': [0, 3, 7, 10, 14], 'maj9': [0, 4, 7, 11, 14],
+            'dim': [0, 3, 6], 'o': [0, 3, 6],
+            'dim7': [0, 3, 6, 9], 'o7': [0, 3, 6, 9],
+            'm7b5': [0, 3, 6, 10], 'ø': [0, 3, 6, 10],
+            'aug': [0, 4, 8], '+': [0, 4, 8],
+            'sus': [0, 5, 7], 'sus4': [0, 5, 7], 'sus2': [0, 2, 7], '7sus4': [0, 5, 7, 10],
+            '5': [0, 7]
+        };
     }
 
     /**
      * Parsea una cadena ABC completa
+     *
+     * Si es un cancionero con varios X:, se parsea el primer tune (ver
+     * splitTunes para elegir otro).
+     *
+     * Los problemas de la música no detienen el análisis: el elemento
+     * erróneo se salta y queda un aviso en diagnostics, con la línea y
+     * la columna en abcString.
+     *
+     * En ast queda el árbol sintáctico del tune (ver SyntaxTree): un nodo
+     * con su posición para cada campo, nota, barra, comentario... del
+     * que se puede volver a sacar el cuerpo con bodyFromAst.
      * @param {string} abcString - La notación ABC
      * @returns {Object} - Estructura musical parseada
      */
     parse(abcString) {
-        const lines = abcString.trim().split('\n');
-        const header = this.parseHeader(lines);
-        const body = this.parseBody(lines.slice(header.lineCount));
+        return this.parseTune(this.splitTunes(abcString)[0]);
+    }
+
+    /**
+     * Parsea un tune de splitTunes
+     *
+     * Las líneas de los diagnósticos y de los compases y las posiciones
+     * del árbol sintáctico son las del texto del que salió el tune
+     * (sourceLines), no las de tune.text, que lleva además la cabecera
+     * del archivo. Sin sourceLines son las de tune.text.
+     * @param {Object} tune - Tune { text, sourceLines }
+     * @returns {Object} - Estructura musical parseada, como parse
+     */
+    parseTune(tune) {
+        const lines = tune.text.replace(/\s+$/, '').split('\n');
+        const diagnostics = new Diagnostics(lines);
+        const header = this.parseHeader(lines, diagnostics);
+        const origins = [];
+        const body = this.macroExpander.expandLines(lines, header.lineCount, diagnostics, origins);
+        const tree = new SyntaxTree(lines, origins);
+        const voices = this.parseVoices(body, header, diagnostics, header.lineCount, tree);
+        const bars = voices.flatMap(voice => voice.bars || []);
+        
+        // Las líneas del tune, en el texto de partida
+        const ast = tree.root(header.lineCount, voices.map(voice => voice.id));
+        if (tune.sourceLines) {
+            [...diagnostics.items, ...bars].filter(item => item.line).forEach(item => {
+                item.line = tune.sourceLines[item.line - 1].line;
+            });
+            tree.relocate(ast, tune.sourceLines);
+        }
         
         return {
             header,
-            body,
-            metadata: this.extractMetadata(abcString)
+            // El cuerpo completo: las voces una tras otra
+            body: voices.flatMap(voice => voice.body),
+            voices,
+            // Duración de cada compás de cada voz comparada con M:
+            bars,
+            metadata: this.extractMetadata(tune.text),
+            diagnostics: diagnostics.items,
+            ast
+        };
+    }
+
+    /**
+     * Reconstruye el cuerpo desde el árbol sintáctico
+     *
+     * Recorre los nodos en el orden del texto juntando los elementos que
+     * produjo cada uno, voz a voz, como el body de parse.
+     * @param {Object} ast - Árbol devuelto por parse
+     * @param {string} voice - Sacar solo el cuerpo de esta voz (opcional)
+     * @returns {Array} - Elementos del cuerpo
+     */
+    bodyFromAst(ast, voice) {
+        const collect = (node, id) => [
+            ...(node.children || []).flatMap(child => collect(child, id)),
+            ...((node.elements && node.elements[id]) || [])
+        ];
+        return (voice === undefined ? ast.voices : [voice]).flatMap(id => collect(ast, id));
+    }
+
+    /**
+     * Tramo del texto de cada elemento del cuerpo
+     * @param {Object} ast - Árbol devuelto por parse
+     * @returns {Map} - Elemento => { start, end } del nodo que lo produjo
+     */
+    sourcesFromAst(ast) {
+        const sources = new Map();
+        const visit = (node) => {
+            Object.values(node.elements || {}).flat().forEach(element => {
+                sources.set(element, { start: node.start, end: node.end });
+            });
+            (node.children || []).forEach(visit);
         };
+        visit(ast);
+        return sources;
+    }
+
+    /**
+     * Separa un cancionero en sus tunes
+     *
+     * Cada tune empieza en una línea X: y termina en la primera línea en
+     * blanco tras su música; el texto libre entre tunes se ignora. Los
+     * campos y directivas %% anteriores al primer X: forman la cabecera
+     * del archivo y se aplican a todos los tunes, que pueden redefinirlos.
+     *
+     * En sourceLines queda, para cada línea del texto del tune, su número
+     * de línea (desde 1) y el offset de su inicio en el archivo, para dar
+     * las posiciones en el texto de partida (ver parseTune).
+     * @param {string} abcString - Contenido del archivo ABC
+     * @returns {Array} - Tunes { number, text, sourceLines } con la cabecera del archivo aplicada
+     */
+    splitTunes(abcString) {
+        const fileHeader = [];
+        const tunes = [];
+        let current = null;
+        let offset = 0;
+        
+        const sourceLines = abcString.split('\n').map((rawLine, index) => {
+            const source = { text: rawLine, line: index + 1, offset };
+            const line = rawLine.trim();
+            offset += rawLine.length + 1;
+            
+            if (line.startsWith('X:')) {
+                current = { number: parseInt(line.substring(2)), lines: [source], inBody: false, ended: false };
+                tunes.push(current);
+            } else if (!current) {
+                if (/^[A-Za-z]:|^%%/.test(line)) fileHeader.push(source);
+            } else if (!current.ended) {
+                if (line === '') {
+                    current.ended = current.inBody;
+                } else if (!/^[A-Za-z]:|^%/.test(line)) {
+                    current.inBody = true;
+                }
+                if (!current.ended) current.lines.push(source);
+            }
+            return source;
+        });
+        
+        // Sin X: todo el texto es un único tune
+        const position = ({ line, offset }) => ({ line, offset });
+        if (tunes.length === 0) {
+            return [{ number: undefined, text: abcString, sourceLines: sourceLines.map(position) }];
+        }
+        
+        return tunes.map(tune => {
+            const lines = [tune.lines[0], ...fileHeader, ...tune.lines.slice(1)];
+            return {
+                number: tune.number,
+                text: lines.map(line => line.text).join('\n'),
+                sourceLines: lines.map(position)
+            };
+        });
     }
 
     /**
      * Extrae metadatos del header ABC
+     * @param {Array} lines - Líneas del tune
+     * @param {Diagnostics} diagnostics - Donde se anotan los avisos (opcional)
      */
-    parseHeader(lines) {
+    parseHeader(lines, diagnostics = new Diagnostics(lines)) {
         const header = {
             title: 'Untitled',
             key: 'C',
             meter: '4/4',
             tempo: 120,
+            voices: [],
+            midi: {},
             lineCount: 0
         };
+        let hasKey = false;
+        let lastVoice = null;
 
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i].trim();
@@ -68,72 +273,1447 @@ class ABCParser {
             } else if (line.startsWith('T:')) {
                 header.title = line.substring(2);
             } else if (line.startsWith('K:')) {
-                header.key = line.substring(2);
+                header.key = line.substring(2).trim();
+                header.keySignature = this.parseKey(header.key);
+                Object.assign(header, this.parseKeyClauses(header.key));
+                hasKey = true;
+                lastVoice = null;
             } else if (line.startsWith('M:')) {
                 header.meter = line.substring(2);
+                header.timeSignature = this.parseMeter(header.meter, diagnostics, { line: i + 1, column: 1 });
             } else if (line.startsWith('Q:')) {
-                const tempo = line.substring(2);
-                header.tempo = this.parseTempo(tempo);
+                const tempo = this.parseTempoField(line.substring(2), diagnostics, { line: i + 1, column: 1 });
+                if (tempo.bpm !== null) header.tempo = tempo.bpm;
+                if (tempo.text) header.tempoText = tempo.text;
             } else if (line.startsWith('L:')) {
                 header.defaultLength = line.substring(2);
-            } else if (line === '' || line.startsWith('V:') || line.startsWith('I:')) {
+            } else if (line.startsWith('C:')) {
+                header.composer = line.substring(2).trim();
+            } else if (line.startsWith('V:')) {
+                // Antes de K: define una voz; después, empieza su música
+                if (hasKey) {
+                    header.lineCount = i;
+                    break;
+                }
+                lastVoice = this.mergeVoice(header.voices, this.parseVoice(line.substring(2)));
+            } else if (line.startsWith('P:')) {
+                // Antes de K: es el orden de las partes (P:AABACA, P:(AB)3);
+                // después, la primera parte de la música
+                if (hasKey) {
+                    header.lineCount = i;
+                    break;
+                }
+                header.parts = this.parsePartOrder(line.substring(2), diagnostics, { line: i + 1, column: 1 });
+            } else if (this.midiDirective(line) !== null) {
+                // %%MIDI tras un V: de la cabecera se aplica a esa voz; si
+                // no, a todas
+                const settings = this.parseMidiDirective(this.midiDirective(line));
+                if (lastVoice) {
+                    lastVoice.midi = { ...lastVoice.midi, ...settings };
+                } else {
+                    Object.assign(header.midi, settings);
+                }
+            } else if (line === '' || line.startsWith('I:')) {
                 // Continuar con el siguiente campo
                 continue;
+            } else if (/^[A-Za-z]:/.test(line) || line.startsWith('%')) {
+                // Otros campos informativos (O:, R:, S:...) y comentarios
             } else {
                 // Fin del header
                 header.lineCount = i;
                 break;
             }
+
+            header.lineCount = i + 1;
+        }
+
+        if (!header.keySignature) {
+            header.keySignature = this.parseKey(header.key);
         }
 
+        if (header.timeSignature === undefined) {
+            header.timeSignature = this.parseMeter(header.meter);
+        }
+
+        // Sin L: la unidad de nota por defecto depende del compás
+        header.unitLength = this.parseUnitLength(header.defaultLength, header.timeSignature);
+
         return header;
     }
 
     /**
      * Parsea el cuerpo de la música (las notas)
+     * @returns {Array} - Elementos de todas las voces, una tras otra
      */
-    parseBody(lines) {
-        const notes = [];
-        let currentOctave = 4;
-        let currentAccidental = 0;
+    parseBody(lines, header = {}) {
+        return this.parseVoices(lines, header).flatMap(voice => voice.body);
+    }
+
+    /**
+     * Parsea el cuerpo de la música separando cada voz
+     *
+     * Lo que no se entiende se salta con un aviso en diagnostics.
+     * @param {Array} lines - Líneas del cuerpo
+     * @param {Object} header - Cabecera parseada
+     * @param {Diagnostics} diagnostics - Diagnósticos donde anotar los avisos
+     * @param {number} firstLine - Líneas del texto anteriores al cuerpo
+     * @param {SyntaxTree} tree - Árbol sintáctico donde añadir los nodos del cuerpo
+     * @returns {Array} - Voces { id, name, clef, transpose, octave, body }
+     */
+    parseVoices(lines, header = {}, diagnostics = new Diagnostics(lines), firstLine = 0,
+        tree = new SyntaxTree(lines, [], firstLine)) {
+        const voices = (header.voices || []).map(voice => ({ ...voice, body: [] }));
+        const states = {};
+        let notes;
+        let state;
+        
+        const selectVoice = (definition) => {
+            const voice = this.mergeVoice(voices, definition);
+            if (!voice.body) voice.body = [];
+            if (!states[voice.id]) {
+                states[voice.id] = {
+                    keySignature: header.keySignature || this.parseKey(header.key || 'C'),
+                    unitLength: header.unitLength || new Fraction(1, 8),
+                    timeSignature: header.timeSignature,
+                    barLength: this.barLength(header.timeSignature),
+                    barAccidentals: {},
+                    tiedAccidentals: {},
+                    brokenRhythm: null,
+                    chord: null,
+                    slurDepth: 0,
+                    tuplet: null,
+                    decorations: [],
+                    grace: null,
+                    graceNotes: null,
+                    // Primer elemento de la música que alinean las líneas w:
+                    // y número de líneas w: ya alineadas con ella (versos)
+                    lyricStart: 0,
+                    lyricVerse: 0,
+                    // Compás en curso: primer elemento, posición de su
+                    // primera nota y si empieza una sección; y los
+                    // compases ya cerrados, que se comprueban al final
+                    barStart: 0,
+                    barPosition: null,
+                    barStartsSection: true,
+                    bars: []
+                };
+            }
+            // octave= desplaza por octavas todas las notas de la voz (el
+            // del K: de la cabecera vale para las voces que no lo indican)
+            const octave = voice.octave !== undefined ? voice.octave : header.octave;
+            states[voice.id].octaveShift = (octave || 0) * 12;
+            notes = voice.body;
+            state = states[voice.id];
+            state.voice = voice;
+        };
+        selectVoice({ id: voices.length > 0 ? voices[0].id : '1' });
+        
+        // Los comentarios no forman parte de la música y las líneas de
+        // campo (K:, V:...) se tratan igual que los campos entre corchetes;
+        // los comentarios y los saltos de línea quedan como tokens solo
+        // para el árbol sintáctico
+        const tokens = lines.flatMap((rawLine, index) => {
+            const position = { line: firstLine + index + 1, column: 1 };
+            const lineBreak = index < lines.length - 1 ? [{ type: 'lineBreak', ...position }] : [];
+            const directive = this.midiDirective(rawLine.trim());
+            if (directive !== null) {
+                const start = rawLine.search(/\S/);
+                return [{
+                    type: 'field', match: [rawLine, 'I', `MIDI ${directive}`], directive: true,
+                    start, end: rawLine.trimEnd().length, ...position
+                }, ...lineBreak];
+            }
+            
+            const commentStart = rawLine.indexOf('%');
+            const line = commentStart < 0 ? rawLine : rawLine.slice(0, commentStart);
+            const comment = commentStart < 0 ? [] : [{ type: 'comment', start: commentStart, ...position }];
+            const field = line.trim().match(/^([A-Za-z]):(.*)$/);
+            if (field) {
+                const start = line.search(/\S/);
+                return [{ type: 'field', match: field, start, end: line.trimEnd().length, ...position }, ...comment, ...lineBreak];
+            }
+            return [
+                // La columna es la del texto original, no la de la línea con las macros expandidas
+                ...this.tokenizeBody(line).map(token => ({
+                    ...token, line: position.line, column: tree.sourceIndex(position.line, token.start) + 1
+                })),
+                ...comment,
+                ...lineBreak
+            ];
+        });
+        
+        // Aplica el ritmo punteado pendiente a la nota o silencio actual
+        const takeDuration = (duration) => {
+            if (state.brokenRhythm) {
+                duration = duration.mul(state.brokenRhythm);
+                state.brokenRhythm = null;
+            }
+            return duration;
+        };
+        
+        // Asigna las decoraciones pendientes a la nota, acorde o silencio
+        const takeDecorations = (element) => {
+            if (state.decorations.length > 0) {
+                element.decorations = state.decorations;
+                state.decorations = [];
+            }
+        };
+        
+        // Asigna las notas de adorno pendientes a la nota o acorde
+        const takeGraceNotes = (element) => {
+            if (state.graceNotes) {
+                element.graceNotes = state.graceNotes.notes;
+                if (state.graceNotes.acciaccatura) element.acciaccatura = true;
+                state.graceNotes = null;
+            }
+        };
+        
+        // Aplica el grupo irregular activo a la nota, silencio o acorde
+        const applyTuplet = (element) => {
+            const tuplet = state.tuplet;
+            if (!tuplet) return;
+            this.scaleDuration(element, new Fraction(tuplet.q, tuplet.p));
+            element.tuplet = { p: tuplet.p, q: tuplet.q, r: tuplet.r };
+            if (--tuplet.remaining === 0) state.tuplet = null;
+        };
+        
+        tokens.forEach(token => {
+            const match = token.match;
+            const lengths = new Map(voices.map(voice => [voice, voice.body.length]));
+            
+            // Las notas y silencios de adorno no abren compás; un acorde sí, aunque empiece dentro de {...}
+            const opensBar = token.type === 'chordStart' || (!state.grace && ['note', 'rest'].includes(token.type));
+            if (!state.barPosition && opensBar) {
+                state.barPosition = { line: token.line, column: token.column };
+            }
+            
+            // La música que sigue a unas líneas w: es la que alinearán las siguientes
+            if (!['field', 'comment', 'lineBreak'].includes(token.type) && state.lyricVerse > 0) {
+                state.lyricStart = notes.length;
+                state.lyricVerse = 0;
+            }
+            
+            switch (token.type) {
+                case 'field':
+                    if (match[1] === 'P') {
+                        this.addPart(voices, match[2].trim());
+                    } else {
+                        this.applyField(match[1], match[2].trim(), state, notes, selectVoice, diagnostics, token);
+                    }
+                    break;
+                    
+                case 'bar': {
+                    // Un acorde o grupo de adorno no puede cruzar la barra
+                    if (state.chord) {
+                        diagnostics.warning('unclosed-chord', 'Acorde sin cerrar: se ignora', state.chordPosition);
+                        state.chord = null;
+                    }
+                    if (state.grace) {
+                        diagnostics.warning('unclosed-grace', 'Notas de adorno sin cerrar: se ignoran', state.gracePosition);
+                        state.grace = null;
+                    }
+                    
+                    // Una barra de compás cancela las alteraciones accidentales
+                    state.barAccidentals = {};
+                    const bar = this.parseBar(match[1]);
+                    this.closeBar(state, notes, bar);
+                    notes.push(bar);
+                    if (match[2]) notes.push(this.parseEnding(match[2]));
+                    state.barStart = notes.length;
+                    break;
+                }
+                    
+                case 'ending':
+                    notes.push(this.parseEnding(match[1]));
+                    break;
+                    
+                case 'quoted': {
+                    // Los símbolos de acorde suenan desde la nota que preceden;
+                    // las anotaciones de texto (^, _, <, >, @) se ignoran
+                    if (match[0].length === 1 || !match[0].endsWith('"')) {
+                        diagnostics.warning('unclosed-quote', 'Texto entre comillas sin cerrar', token);
+                        break;
+                    }
+                    const chordSymbol = this.parseChordSymbol(match[1]);
+                    if (chordSymbol) {
+                        notes.push(chordSymbol);
+                    } else if (!/^[\^_<>@]/.test(match[1])) {
+                        diagnostics.info('unknown-chord-symbol',
+                            `"${match[1]}" no es un símbolo de acorde conocido: se trata como anotación`, token);
+                    }
+                    break;
+                }
+                
+                case 'unknown':
+                    diagnostics.warning('unexpected-character', `Carácter inesperado "${match[0]}": se ignora`, token);
+                    break;
+                    
+                case 'decoration': {
+                    const decoration = match[1] || match[2] || match[3];
+                    const marker = this.navigationMarker(decoration);
+                    if (marker) {
+                        notes.push({ type: 'navigation', marker });
+                    } else {
+                        state.decorations.push(this.decorationName(decoration));
+                    }
+                    break;
+                }
+                    
+                case 'broken': {
+                    // El ritmo punteado alarga una nota y acorta la siguiente
+                    const previous = this.lastPlayable(notes);
+                    if (previous) {
+                        const [first, second] = this.brokenRhythmFactors(match[1]);
+                        this.scaleDuration(previous, first);
+                        state.brokenRhythm = second;
+                    }
+                    break;
+                }
+                
+                case 'chordStart':
+                    // Acordes: las notas se acumulan hasta el corchete de cierre
+                    if (state.chord) {
+                        diagnostics.warning('unclosed-chord', 'Acorde sin cerrar: se ignora', state.chordPosition);
+                    }
+                    state.chord = { type: 'chord', notes: [] };
+                    state.chordPosition = token;
+                    takeDecorations(state.chord);
+                    takeGraceNotes(state.chord);
+                    break;
+                    
+                case 'chordEnd': {
+                    const chord = state.chord;
+                    state.chord = null;
+                    if (!chord) {
+                        diagnostics.warning('unexpected-chord-end', 'Corchete de cierre sin acorde: se ignora', token);
+                        break;
+                    }
+                    if (chord.notes.length === 0) break;
+                    
+                    const multiplier = this.parseLength(match[1]);
+                    chord.notes.forEach(chordNote => {
+                        chordNote.duration = chordNote.duration.mul(multiplier);
+                        if (match[2]) chordNote.tie = true;
+                    });
+                    chord.duration = chord.notes[0].duration;
+                    if (state.brokenRhythm) {
+                        this.scaleDuration(chord, takeDuration(new Fraction(1)));
+                    }
+                    applyTuplet(chord);
+                    this.startOnset(state, chord.notes);
+                    this.markSlur(chord, state.slurDepth > 0);
+                    notes.push(chord);
+                    break;
+                }
+                
+                case 'graceStart':
+                    // Notas de adorno: {gAB} o acciaccatura {/g}
+                    if (state.grace) {
+                        diagnostics.warning('unclosed-grace', 'Notas de adorno sin cerrar: se ignoran', state.gracePosition);
+                    }
+                    state.grace = { notes: [], acciaccatura: match[1] === '/' };
+                    state.gracePosition = token;
+                    break;
+                    
+                case 'graceEnd':
+                    if (state.grace && state.grace.notes.length > 0) {
+                        state.graceNotes = state.grace;
+                    }
+                    state.grace = null;
+                    break;
+                    
+                case 'slurStart':
+                    state.slurDepth++;
+                    break;
+                    
+                case 'tuplet': {
+                    const tuplet = this.parseTuplet(match, state.timeSignature);
+                    if (tuplet.p === 0) {
+                        diagnostics.warning('invalid-tuplet', 'Grupo irregular de 0 notas: se ignora', token);
+                        break;
+                    }
+                    state.tuplet = { ...tuplet, remaining: tuplet.r };
+                    break;
+                }
+                    
+                case 'slurEnd': {
+                    // La última nota de la ligadura ya no enlaza con la siguiente
+                    state.slurDepth = Math.max(0, state.slurDepth - 1);
+                    const last = this.lastPlayable(notes);
+                    if (last && state.slurDepth === 0) this.markSlur(last, false);
+                    break;
+                }
+                
+                case 'rest': {
+                    // Silencios: z y x (invisible) como notas; Z y X por compases
+                    const [, rest, restLength] = match;
+                    if (state.grace) {
+                        diagnostics.warning('rest-in-grace', 'Silencio dentro de notas de adorno: se ignora', token);
+                        break;
+                    }
+                    const multiMeasure = rest === 'Z' || rest === 'X';
+                    const measures = multiMeasure ? (parseInt(restLength) || 1) : undefined;
+                    const restElement = {
+                        type: 'rest',
+                        duration: multiMeasure ?
+                            state.barLength.mul(measures) :
+                            takeDuration(state.unitLength.mul(this.parseLength(restLength))),
+                        invisible: rest === 'x' || rest === 'X',
+                        measures
+                    };
+                    if (!multiMeasure) applyTuplet(restElement);
+                    takeDecorations(restElement);
+                    this.startOnset(state, []);
+                    notes.push(restElement);
+                    break;
+                }
+                
+                case 'note': {
+                    const note = this.parseNote(match, state);
+                    
+                    if (state.grace) {
+                        delete note.pitchKey;
+                        delete note.semitoneOffset;
+                        state.grace.notes.push(note);
+                        break;
+                    }
+                    
+                    takeDecorations(note);
+                    this.addOrnament(note, state);
+                    
+                    // En un acorde, el ritmo punteado se aplica al cerrarlo
+                    if (state.chord) {
+                        state.chord.notes.push(note);
+                    } else {
+                        takeGraceNotes(note);
+                        note.duration = takeDuration(note.duration);
+                        applyTuplet(note);
+                        this.startOnset(state, [note]);
+                        this.markSlur(note, state.slurDepth > 0);
+                        notes.push(note);
+                    }
+                    break;
+                }
+            }
+            
+            // Los elementos que ha producido el token, en cada voz
+            const elements = {};
+            voices.forEach(voice => {
+                const added = voice.body.slice(lengths.get(voice) || 0);
+                if (added.length > 0) elements[voice.id] = added;
+            });
+            tree.add(token, state.voice.id, elements);
+        });
+        
+        // Lo que queda abierto al final se pierde
+        Object.values(states).forEach(voiceState => {
+            if (voiceState.chord) {
+                diagnostics.warning('unclosed-chord', 'Acorde sin cerrar: se ignora', voiceState.chordPosition);
+            }
+            if (voiceState.grace) {
+                diagnostics.warning('unclosed-grace', 'Notas de adorno sin cerrar: se ignoran', voiceState.gracePosition);
+            }
+            
+            // El último compás puede no llevar barra de cierre
+            this.closeBar(voiceState, voiceState.voice.body, null);
+            const label = Object.keys(states).length > 1 ? ` (voz ${voiceState.voice.id})` : '';
+            voiceState.voice.bars = this.checkBars(voiceState.bars, voiceState.voice.id, diagnostics, label);
+        });
+        
+        // El transpose= del K: de la cabecera vale para las voces que no lo indican
+        if (header.transpose !== undefined) {
+            voices.filter(voice => voice.transpose === undefined)
+                .forEach(voice => { voice.transpose = header.transpose; });
+        }
+        
+        // Las voces definidas que no tienen música no generan pista
+        const playedVoices = voices.filter(voice => voice.body.length > 0);
+        return playedVoices.length > 0 ? playedVoices : voices.slice(0, 1);
+    }
+
+    /**
+     * Cierra el compás en curso de una voz y guarda su duración
+     *
+     * Suma las notas, acordes y silencios desde la barra anterior (con
+     * los grupos irregulares y ritmos punteados ya aplicados; las notas
+     * de adorno no cuentan). Los compases sin música, como el de una
+     * barra doble tras otra barra, se descartan. Sin compás (M:none) no
+     * hay nada que comprobar.
+     * @param {Object} state - Estado de la voz
+     * @param {Array} notes - Elementos de la voz
+     * @param {Object|null} bar - Barra que cierra el compás (null al final)
+     */
+    closeBar(state, notes, bar) {
+        const elements = notes.slice(state.barStart).filter(element =>
+            ['note', 'chord', 'rest'].includes(element.type));
+        const position = state.barPosition;
+        const startsSection = state.barStartsSection;
         
-        const bodyText = lines.join(' ');
+        const boundary = !bar || bar.repeatStart || bar.repeatEnd || bar.double;
+        state.barPosition = null;
+        state.barStartsSection = boundary || (elements.length === 0 && startsSection);
+        if (elements.length === 0 || !state.timeSignature) return;
         
-        // Expresión regular para capturar notas, duraciones y otros elementos
-        const notePattern = /([A-Ga-g])([^,']*)([,']*)(\d*)/g;
+        // Un silencio de varios compases (Z4) ocupa esos compases
+        const measures = elements.reduce((sum, element) => sum + (element.measures || 0), 0) || 1;
+        state.bars.push({
+            line: position.line,
+            column: position.column,
+            length: elements.reduce((sum, element) => sum.add(element.duration), new Fraction(0)),
+            expected: state.barLength.mul(measures),
+            meter: `${state.timeSignature.numerator}/${state.timeSignature.denominator}`,
+            measures,
+            startsSection,
+            endsSection: boundary
+        });
+    }
+
+    /**
+     * Compara la duración de cada compás con la que pide M:
+     *
+     * Un compás corto al principio de la voz o de una sección (tras una
+     * barra doble o de repetición) es una anacrusa; uno corto al final de
+     * la voz o de una sección que, sumado a la última anacrusa, completa
+     * el compás, es su complemento. El resto de compases cortos y los
+     * largos se avisan en diagnostics con su número y posición; la
+     * anacrusa inicial es el compás 0.
+     * @param {Array} bars - Compases cerrados por closeBar
+     * @param {string} voice - Identificador de la voz
+     * @param {Diagnostics} diagnostics - Donde se anotan los avisos
+     * @param {string} label - Voz en los mensajes (vacío con una sola voz)
+     * @returns {Array} - { voice, number, line, column, length, expected, status }
+     */
+    checkBars(bars, voice, diagnostics, label = '') {
+        let pickup = null;
+        let number = 1;
+        
+        // Las duraciones se escriben en la unidad del compás (4/4, no 1)
+        const format = (length, meter) => {
+            const denominator = parseInt(meter.split('/')[1]);
+            const beats = length.mul(denominator);
+            return beats.denominator === 1 ? `${beats.numerator}/${denominator}` : `${length}`;
+        };
+        
+        return bars.map((bar, index) => {
+            const difference = bar.length.compare(bar.expected);
+            const isLast = index === bars.length - 1;
+            let status = 'complete';
+            
+            if (difference > 0) {
+                status = 'long';
+            } else if (difference < 0) {
+                if (bar.startsSection && !isLast) {
+                    status = 'pickup';
+                    pickup = bar;
+                } else if (pickup && (isLast || bar.endsSection) && bar.length.add(pickup.length).equals(bar.expected)) {
+                    status = 'complement';
+                } else {
+                    status = 'short';
+                }
+            }
+            
+            const report = {
+                voice,
+                number: index === 0 && status === 'pickup' ? 0 : number,
+                line: bar.line,
+                column: bar.column,
+                length: bar.length,
+                expected: bar.expected,
+                status
+            };
+            if (report.number > 0) number += bar.measures;
+            
+            const position = { line: bar.line, column: bar.column };
+            if (status === 'long') {
+                diagnostics.warning('bar-too-long',
+                    `El compás ${report.number}${label} dura ${format(bar.length, bar.meter)} y M:${bar.meter} pide ${format(bar.expected, bar.meter)}`, position);
+            } else if (status === 'short') {
+                diagnostics.warning('bar-too-short',
+                    `El compás ${report.number}${label} dura ${format(bar.length, bar.meter)} y M:${bar.meter} pide ${format(bar.expected, bar.meter)}`, position);
+            } else if (status === 'pickup') {
+                diagnostics.info('pickup-bar', `Anacrusa de ${format(bar.length, bar.meter)}${label}`, position);
+            } else if (status === 'complement') {
+                diagnostics.info('pickup-complement',
+                    `El compás ${report.number}${label} completa la anacrusa de ${format(pickup.length, bar.meter)}`, position);
+            }
+            
+            return report;
+        });
+    }
+
+    /**
+     * Aplica un campo del cuerpo (K:, M:, L:, Q:, V:, I:MIDI) en la voz actual
+     *
+     * Las directivas MIDI anteriores a la primera nota de la voz forman
+     * parte de su configuración; las posteriores quedan como elementos
+     * 'midi' en su posición.
+     * @param {string} field - Letra del campo
+     * @param {string} value - Valor del campo
+     * @param {Object} state - Estado de la voz
+     * @param {Array} notes - Elementos de la voz
+     * @param {Function} selectVoice - Cambia de voz
+     * @param {Diagnostics} diagnostics - Donde se anotan los avisos
+     * @param {Object} fieldPosition - Posición del campo en el texto
+     */
+    applyField(field, value, state, notes, selectVoice, diagnostics = new Diagnostics(), fieldPosition = {}) {
+        switch (field) {
+            case 'V':
+                selectVoice(this.parseVoice(value));
+                break;
+                
+            case 'K': {
+                // transpose= y octave= cambian la voz desde este punto
+                const clauses = this.parseKeyClauses(value);
+                if (clauses.octave !== undefined) {
+                    state.voice.octave = clauses.octave;
+                    state.octaveShift = clauses.octave * 12;
+                }
+                if (clauses.transpose !== undefined) {
+                    notes.push({ type: 'transpose', transpose: clauses.transpose });
+                }
+                
+                // [K:clef=bass] solo cambia la clave, no la tonalidad
+                if (/^(\w+=|$)/.test(value)) break;
+                state.keySignature = this.parseKey(value);
+                notes.push({ type: 'key', key: value, keySignature: state.keySignature });
+                break;
+            }
+                
+            case 'M':
+                state.timeSignature = this.parseMeter(value, diagnostics, fieldPosition);
+                state.barLength = this.barLength(state.timeSignature);
+                notes.push({ type: 'meter', meter: value, timeSignature: state.timeSignature });
+                break;
+                
+            case 'L':
+                state.unitLength = this.parseUnitLength(value, state.timeSignature);
+                break;
+                
+            case 'Q': {
+                // Un término sin tempo conocido solo deja su texto
+                const tempo = this.parseTempoField(value, diagnostics, fieldPosition);
+                if (tempo.bpm === null && !tempo.text) break;
+                notes.push({ type: 'tempo', tempo: tempo.bpm, text: tempo.text });
+                break;
+            }
+                
+            case 'w':
+                // Cada línea w: tras la misma música es un verso más
+                this.alignLyrics(value, notes.slice(state.lyricStart), state.lyricVerse++);
+                break;
+                
+            case 'I': {
+                const directive = this.midiDirective(`I:${value}`);
+                const settings = directive !== null && this.parseMidiDirective(directive);
+                if (!settings || Object.keys(settings).length === 0) break;
+                if (this.lastPlayable(notes)) {
+                    notes.push({ type: 'midi', settings });
+                } else {
+                    state.voice.midi = { ...state.voice.midi, ...settings };
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Marca el inicio de una parte (P:A en el cuerpo) en todas las voces
+     *
+     * Una voz que ya está en esa parte (P: repetido en la música de cada
+     * voz) no recibe otra marca.
+     */
+    addPart(voices, label) {
+        if (!label) return;
+        voices.forEach(voice => {
+            if (!voice.body) voice.body = [];
+            const current = voice.body.filter(element => element.type === 'part').pop();
+            if (!current || current.label !== label) {
+                voice.body.push({ type: 'part', label });
+            }
+        });
+    }
+
+    /**
+     * Despliega el orden de partes de la cabecera: una letra por parte,
+     * un número tras una parte o un grupo entre paréntesis lo repite y
+     * los puntos y espacios se ignoran
+     *
+     * Las repeticiones de más de maxPartRepeat veces y lo que pase de
+     * maxParts partes en total se recortan con un aviso.
+     * @param {string} text - Texto tras P: ("A2B", "(AB)3C")
+     * @param {Diagnostics} diagnostics - Donde se anotan los avisos
+     * @param {Object} fieldPosition - Línea del P: en el texto
+     * @returns {Array} - Etiquetas en orden de ejecución
+     */
+    parsePartOrder(text, diagnostics = new Diagnostics(), fieldPosition = {}) {
+        let position = 0;
+        let truncated = false;
+        
+        const sequence = () => {
+            const labels = [];
+            while (position < text.length && text[position] !== ')') {
+                const char = text[position++];
+                let group = null;
+                if (char === '(') {
+                    group = sequence();
+                    position++;
+                } else if (/[A-Za-z]/.test(char)) {
+                    group = [char];
+                } else {
+                    continue;
+                }
+                const count = text.slice(position).match(/^\d+/);
+                if (count) position += count[0].length;
+                let times = count ? parseInt(count[0]) : 1;
+                if (times > this.maxPartRepeat) {
+                    diagnostics.warning('part-limit',
+                        `P: repite una parte ${times} veces: se limita a ${this.maxPartRepeat}`, fieldPosition);
+                    times = this.maxPartRepeat;
+                }
+                for (let i = 0; i < times && group.length > 0 && !truncated; i++) {
+                    const room = this.maxParts - labels.length;
+                    truncated = group.length > room;
+                    labels.push(...group.slice(0, room));
+                }
+            }
+            return labels;
+        };
+        
+        const labels = sequence();
+        if (truncated) {
+            diagnostics.warning('part-limit',
+                `P: despliega más de ${this.maxParts} partes: el orden se corta ahí`, fieldPosition);
+        }
+        return labels;
+    }
+
+    /**
+     * Alinea una línea w: con las notas y acordes de la música anterior
+     *
+     * Cada sílaba va a la siguiente nota o acorde (los silencios no
+     * cuentan): - separa las sílabas de una palabra, _ alarga la sílaba
+     * anterior una nota más, * deja una nota sin sílaba y | salta al
+     * compás siguiente. Las sílabas quedan en lyrics[verse] de cada nota
+     * como { text, hyphen, lineStart } (null si la nota no tiene sílaba).
+     * @param {string} text - Texto de la línea w:
+     * @param {Array} elements - Elementos del cuerpo desde el inicio de la música
+     * @param {number} verse - Número de verso (0 para la primera línea w:)
+     */
+    alignLyrics(text, elements, verse = 0) {
+        let index = 0;
+        let lineStart = true;
+        
+        const nextNote = () => {
+            while (index < elements.length && !['note', 'chord'].includes(elements[index].type)) {
+                index++;
+            }
+            return elements[index++];
+        };
+        
+        this.parseLyrics(text).forEach(item => {
+            if (item.type === 'bar') {
+                while (index < elements.length && elements[index].type !== 'bar') index++;
+                index++;
+                return;
+            }
+            
+            const element = nextNote();
+            if (!element) return;
+            if (!element.lyrics) element.lyrics = [];
+            if (item.type !== 'syllable') {
+                // Nota sin sílaba propia en este verso
+                element.lyrics[verse] = null;
+                return;
+            }
+            element.lyrics[verse] = { text: item.text, hyphen: item.hyphen, lineStart };
+            lineStart = false;
+        });
+    }
+
+    /**
+     * Divide el texto de una línea w: en sílabas y marcas de alineación
+     *
+     * ~ une palabras en una sílaba (se escribe como espacio) y \- escribe
+     * un guion dentro de la sílaba. Un guion tras un espacio u otro guion
+     * alarga la sílaba anterior, como _.
+     * @returns {Array} - Elementos { type: 'syllable', text, hyphen },
+     *   { type: 'hold' } (_ y -), { type: 'skip' } (*) o { type: 'bar' } (|)
+     */
+    parseLyrics(text) {
+        const items = [];
+        let syllable = null;
+        
+        const finish = (hyphen) => {
+            if (syllable === null) return false;
+            items.push({ type: 'syllable', text: syllable, hyphen });
+            syllable = null;
+            return true;
+        };
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (char === '\\' && text[i + 1] === '-') {
+                syllable = (syllable || '') + '-';
+                i++;
+            } else if (char === '~') {
+                syllable = (syllable || '') + ' ';
+            } else if (char === '-') {
+                if (!finish(true) && i > 0 && /[\s-]/.test(text[i - 1])) {
+                    items.push({ type: 'hold' });
+                }
+            } else if (/\s/.test(char)) {
+                finish(false);
+            } else if (char === '_') {
+                finish(false);
+                items.push({ type: 'hold' });
+            } else if (char === '*') {
+                finish(false);
+                items.push({ type: 'skip' });
+            } else if (char === '|') {
+                finish(false);
+                items.push({ type: 'bar' });
+            } else {
+                syllable = (syllable || '') + char;
+            }
+        }
+        finish(false);
+        
+        return items;
+    }
+
+    /**
+     * Texto de una directiva MIDI (%%MIDI program 41, I:MIDI program 41)
+     * @returns {string|null} - Texto tras MIDI o null si no es una directiva
+     */
+    midiDirective(line) {
+        const match = line.match(/^(?:%%|I:\s*)MIDI\s*=?\s*(.*)$/);
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * Interpreta una directiva MIDI al estilo de abc2midi
+     *
+     * - program [canal] n: instrumento General MIDI (0-127)
+     * - channel n: canal MIDI (1-16)
+     * - transpose n: semitonos al reproducir
+     * - beat a b c n: velocidad de la primera nota del compás, de los
+     *   tiempos fuertes (cada n partes) y del resto
+     * - drone programa nota1 nota2 vel1 vel2, droneon, droneoff: bordón
+     * - gchord patrón, gchordon, gchordoff: acompañamiento de acordes
+     * - chordprog n, bassprog n, chordvol n, bassvol n: instrumento y
+     *   velocidad de las pistas de acordes y de bajo del acompañamiento
+     * @param {string} directive - Texto tras MIDI
+     * @returns {Object} - Ajustes reconocidos (vacío si no se reconoce)
+     */
+    parseMidiDirective(directive) {
+        const [name, ...args] = directive.split(/\s+/);
+        const numbers = args.map(arg => parseInt(arg)).filter(n => !isNaN(n));
+        
+        switch (name) {
+            case 'program':
+                return numbers.length > 0 ? { program: numbers[numbers.length - 1] } : {};
+            case 'channel':
+                return numbers.length > 0 ? { channel: numbers[0] - 1 } : {};
+            case 'transpose':
+                return numbers.length > 0 ? { transpose: numbers[0] } : {};
+            case 'beat': {
+                const [first = 105, strong = 95, other = 80, every = 1] = numbers;
+                return { beat: { first, strong, other, every } };
+            }
+            case 'drone':
+                // programa, nota1, nota2, velocidad1, velocidad2 (los que falten
+                // toman el valor por defecto al generar)
+                return { drone: numbers };
+            case 'droneon':
+                return { droneOn: true };
+            case 'droneoff':
+                return { droneOn: false };
+            case 'gchord':
+                return args[0] ? { gchord: args[0] } : {};
+            case 'gchordon':
+                return { gchordOn: true };
+            case 'gchordoff':
+                return { gchordOn: false };
+            case 'chordprog':
+                return numbers.length > 0 ? { chordProgram: numbers[0] } : {};
+            case 'bassprog':
+                return numbers.length > 0 ? { bassProgram: numbers[0] } : {};
+            case 'chordvol':
+                return numbers.length > 0 ? { chordVelocity: numbers[0] } : {};
+            case 'bassvol':
+                return numbers.length > 0 ? { bassVelocity: numbers[0] } : {};
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Interpreta la definición de una voz: V:1 name="Soprano" clef=bass
+     * transpose=-2 octave=-1 (la clave también puede ir sin clef=)
+     * @param {string} text - Valor del campo V:
+     * @returns {Object} - { id, name, shortName, clef, transpose, octave }
+     */
+    parseVoice(text) {
+        const [id = '1', ...rest] = text.trim().split(/\s+/);
+        const voice = { id };
+        const properties = rest.join(' ');
+        const clefNames = /^(treble|bass|alto|tenor|baritone|soprano|mezzosoprano|perc|none)\d?([+-]8)?$/;
+        
+        const propertyPattern = /(\w+)\s*=\s*("[^"]*"|\S+)|(\S+)/g;
         let match;
+        while ((match = propertyPattern.exec(properties)) !== null) {
+            const [, name, rawValue, word] = match;
+            if (word) {
+                if (clefNames.test(word)) voice.clef = word;
+                continue;
+            }
+            const value = rawValue.replace(/^"|"$/g, '');
+            
+            if (name === 'name' || name === 'nm') voice.name = value;
+            else if (name === 'sname' || name === 'snm') voice.shortName = value;
+            else if (name === 'clef') voice.clef = value;
+            else if (name === 'transpose') voice.transpose = parseInt(value) || 0;
+            else if (name === 'octave') voice.octave = parseInt(value) || 0;
+        }
         
-        while ((match = notePattern.exec(bodyText)) !== null) {
-            const [, note, accidental, octave, duration] = match;
-            
-            // Procesar accidental
-            let semitoneOffset = 0;
-            if (accidental.includes('^')) semitoneOffset += 1;
-            if (accidental.includes('_')) semitoneOffset -= 1;
-            if (accidental.includes('=')) semitoneOffset = 0;
-            
-            // Procesar octava
-            let octaveOffset = 0;
-            if (octave.includes("'")) octaveOffset += octave.split("'").length - 1;
-            if (octave.includes(',')) octaveOffset -= octave.split(',').length - 1;
-            
-            // Calcular nota MIDI
-            const baseNote = this.noteToMidi[note] || 60;
-            const midiNote = baseNote + semitoneOffset + (octaveOffset * 12);
-            
-            // Calcular duración
-            const noteDuration = duration ? parseFloat(duration) : 1;
-            
-            notes.push({
-                note: note.toUpperCase(),
-                midiNote,
-                duration: noteDuration,
-                accidental: accidental,
-                octave: currentOctave + octaveOffset
+        return voice;
+    }
+
+    /**
+     * Añade una voz a la lista o completa la existente con el mismo id
+     * @returns {Object} - La voz resultante
+     */
+    mergeVoice(voices, definition) {
+        let voice = voices.find(existing => existing.id === definition.id);
+        if (!voice) {
+            voice = { id: definition.id };
+            voices.push(voice);
+        }
+        Object.assign(voice, definition);
+        return voice;
+    }
+
+    /**
+     * Divide el texto del cuerpo en tokens con su posición en el texto
+     *
+     * Los espacios y los separadores que no afectan al sonido (`, y, $,
+     * \) se ignoran; los demás caracteres que no encajan en ninguna
+     * regla se agrupan en tokens 'unknown'.
+     * @param {string} text - Texto del cuerpo sin comentarios
+     * @returns {Array} - Tokens { type, match, start, end }
+     */
+    tokenizeBody(text) {
+        const rules = [
+            { type: 'field', pattern: /\[([A-Za-z]):([^\]]*)\]/y },
+            { type: 'quoted', pattern: /"([^"]*)"?/y },
+            { type: 'bar', pattern: /(:*\[?\|[|\]]*:*|::+)(\d[\d,-]*)?/y },
+            { type: 'ending', pattern: /\[(\d[\d,-]*)/y },
+            { type: 'decoration', pattern: /!([^!\s]+)!|\+([^+\s]+)\+|([SOHLTMP.~uv])/y },
+            { type: 'broken', pattern: /(>+|<+)/y },
+            { type: 'graceStart', pattern: /\{(\/?)/y },
+            { type: 'graceEnd', pattern: /\}/y },
+            { type: 'chordStart', pattern: /\[(?=[\^_=A-Ga-g])/y },
+            { type: 'chordEnd', pattern: /\](\d*\/*\d*)(-?)/y },
+            { type: 'tuplet', pattern: /\((\d+)(?::(\d*))?(?::(\d*))?/y },
+            { type: 'slurStart', pattern: /\(/y },
+            { type: 'slurEnd', pattern: /\)/y },
+            { type: 'rest', pattern: /([zxZX])(\d*\/*\d*)/y },
+            { type: 'note', pattern: /(\^\^|\^|__|_|=)?([A-Ga-g])([,']*)(\d*\/*\d*)(-?)/y }
+        ];
+        const tokens = [];
+        let position = 0;
+        
+        while (position < text.length) {
+            let token = null;
+            
+            for (const rule of rules) {
+                rule.pattern.lastIndex = position;
+                const match = rule.pattern.exec(text);
+                if (match) {
+                    token = { type: rule.type, match, start: position, end: rule.pattern.lastIndex };
+                    break;
+                }
+            }
+            
+            if (token) {
+                tokens.push(token);
+                position = token.end;
+                continue;
+            }
+            
+            const char = text[position];
+            const last = tokens[tokens.length - 1];
+            if (/[\s`y$\\]/.test(char)) {
+                // Sin efecto en el sonido
+            } else if (last && last.type === 'unknown' && last.end === position) {
+                last.match[0] += char;
+                last.end++;
+            } else {
+                tokens.push({ type: 'unknown', match: [char], start: position, end: position + 1 });
+            }
+            position++;
+        }
+        
+        return tokens;
+    }
+
+    /**
+     * Último elemento sonoro (nota, acorde o silencio) del cuerpo
+     */
+    lastPlayable(elements) {
+        for (let i = elements.length - 1; i >= 0; i--) {
+            if (['note', 'chord', 'rest'].includes(elements[i].type)) return elements[i];
+        }
+        return null;
+    }
+
+    /**
+     * Describe una barra de compás: inicio/fin de repetición y barras dobles
+     */
+    parseBar(bar) {
+        return {
+            type: 'bar',
+            bar,
+            repeatStart: bar.endsWith(':'),
+            repeatEnd: bar.startsWith(':'),
+            double: /\|\||\|\]|\[\|/.test(bar)
+        };
+    }
+
+    /**
+     * Interpreta los números de un final alternativo: "1", "1,3", "1-3"
+     */
+    parseEnding(text) {
+        const numbers = [];
+        text.split(',').forEach(part => {
+            const [from, to] = part.split('-').map(n => parseInt(n));
+            if (isNaN(from)) return;
+            for (let n = from; n <= (isNaN(to) ? from : to); n++) numbers.push(n);
+        });
+        return { type: 'ending', numbers };
+    }
+
+    /**
+     * Interpreta un símbolo de acorde: fundamental, tipo y bajo opcional
+     * ("Am", "F#m7b5", "Bb/D")
+     * @param {string} text - Texto entre comillas
+     * @returns {Object|null} - Elemento 'chordSymbol' con las clases de
+     *   altura (0-11) de la fundamental y el bajo, o null si es una anotación
+     */
+    parseChordSymbol(text) {
+        const match = text.trim().match(/^([A-G])([#b]?)([^/\s]*)(?:\/([A-G])([#b]?))?$/);
+        if (!match) return null;
+        
+        const [, root, rootAccidental, quality, bass, bassAccidental] = match;
+        const intervals = this.chordQualities[quality];
+        if (!intervals) return null;
+        
+        const pitchClass = (letter, accidental) => {
+            const naturals = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+            const shift = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+            return (naturals[letter] + shift + 12) % 12;
+        };
+        
+        return {
+            type: 'chordSymbol',
+            name: text.trim(),
+            root: pitchClass(root, rootAccidental),
+            quality,
+            intervals,
+            bass: bass ? pitchClass(bass, bassAccidental) : null
+        };
+    }
+
+    /**
+     * Traduce una decoración de navegación (D.C., D.S., fine, coda, segno)
+     * @returns {string|null} - Marca normalizada o null si no es de navegación
+     */
+    navigationMarker(decoration) {
+        const markers = {
+            'S': 'segno', 'segno': 'segno',
+            'O': 'coda', 'coda': 'coda',
+            'fine': 'fine',
+            'D.C.': 'D.C.', 'dacapo': 'D.C.',
+            'D.S.': 'D.S.',
+            'D.C.alfine': 'D.C.alfine', 'D.C.alcoda': 'D.C.alcoda',
+            'D.S.alfine': 'D.S.alfine', 'D.S.alcoda': 'D.S.alcoda',
+            'dacoda': 'dacoda'
+        };
+        return markers[decoration] || null;
+    }
+
+    /**
+     * Normaliza el nombre de una decoración: atajos (., H, L, T, ~, u, v...) y sinónimos
+     * (!>!, !emphasis!, !<(!, !>)!...) pasan a su nombre largo
+     */
+    decorationName(decoration) {
+        const aliases = {
+            '.': 'staccato',
+            'H': 'fermata',
+            'L': 'accent', '>': 'accent', 'emphasis': 'accent',
+            'T': 'trill', '~': 'roll',
+            'u': 'upbow', 'v': 'downbow',
+            'M': 'lowermordent', 'mordent': 'lowermordent',
+            'P': 'uppermordent', 'pralltriller': 'uppermordent',
+            '<(': 'crescendo(', '<)': 'crescendo)',
+            '>(': 'diminuendo(', '>)': 'diminuendo)'
+        };
+        return aliases[decoration] || decoration;
+    }
+
+    /**
+     * Añade a una nota con adorno (trill, roll, turn, mordentes) las notas
+     * vecinas de la escala, según la armadura y las alteraciones del compás
+     */
+    addOrnament(note, state) {
+        const ornaments = ['trill', 'roll', 'turn', 'lowermordent', 'uppermordent'];
+        const type = (note.decorations || []).find(decoration => ornaments.includes(decoration));
+        if (!type) return;
+        
+        // Altura natural de la nota principal y de sus vecinas
+        const letters = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+        const naturals = [0, 2, 4, 5, 7, 9, 11];
+        const natural = note.midiNote - note.semitoneOffset;
+        const neighbour = (step) => {
+            const index = letters.indexOf(note.note) + step;
+            const letter = letters[(index + 7) % 7];
+            const octaveShift = index < 0 ? -12 : index > 6 ? 12 : 0;
+            const pitch = natural - naturals[letters.indexOf(note.note)] + naturals[(index + 7) % 7] + octaveShift;
+            return pitch + this.neighbourAccidental(letter, pitch - (state.octaveShift || 0), state);
+        };
+        
+        note.ornament = { type, upper: neighbour(1), lower: neighbour(-1) };
+    }
+
+    /**
+     * Alteración vigente para una nota natural: la del compás si la hay
+     * (escrita como C, o c en su octava) o la de la armadura
+     */
+    neighbourAccidental(letter, naturalPitch, state) {
+        const octave = Math.floor(naturalPitch / 12) - 1;
+        const spellings = [letter + (octave - 4), letter.toLowerCase() + (octave - 5)];
+        const written = spellings.find(pitchKey => pitchKey in state.barAccidentals);
+        if (written) {
+            return state.barAccidentals[written];
+        }
+        return state.keySignature.accidentals[letter] || 0;
+    }
+
+    /**
+     * Interpreta un grupo irregular (p:q:r
+     *
+     * Si falta q se usa el valor estándar: 3 para dosillos, cuatrillos y
+     * octillos, 2 para tresillos y seisillos, y para 5, 7 y 9 notas, 3 en
+     * compases compuestos (6/8, 9/8, 12/8) y 2 en el resto. Si falta r,
+     * el grupo abarca p notas.
+     */
+    parseTuplet(match, timeSignature) {
+        const p = parseInt(match[1]);
+        const compound = timeSignature &&
+            timeSignature.numerator % 3 === 0 && timeSignature.numerator > 3;
+        const defaults = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 };
+        const q = parseInt(match[2]) || defaults[p] || (compound ? 3 : 2);
+        const r = parseInt(match[3]) || p;
+        
+        return { p, q, r };
+    }
+
+    /**
+     * Construye una nota a partir de su token, aplicando octava,
+     * alteraciones (escrita, del compás, ligada o de la armadura) y duración
+     */
+    parseNote(match, state) {
+        const [, accidental = '', note, octave, length, tie] = match;
+        
+        // Procesar octava
+        let octaveOffset = 0;
+        if (octave.includes("'")) octaveOffset += octave.split("'").length - 1;
+        if (octave.includes(',')) octaveOffset -= octave.split(',').length - 1;
+        
+        // Procesar alteración: la escrita, la del compás, la de una nota
+        // ligada desde el compás anterior o la de la armadura
+        const letter = note.toUpperCase();
+        const pitchKey = note + octaveOffset;
+        let semitoneOffset;
+        if (accidental) {
+            semitoneOffset = this.accidentalToSemitones(accidental);
+            state.barAccidentals[pitchKey] = semitoneOffset;
+        } else if (pitchKey in state.barAccidentals) {
+            semitoneOffset = state.barAccidentals[pitchKey];
+        } else if (pitchKey in state.tiedAccidentals) {
+            semitoneOffset = state.tiedAccidentals[pitchKey];
+        } else {
+            semitoneOffset = state.keySignature.accidentals[letter] || 0;
+        }
+        
+        // Calcular nota MIDI
+        const baseNote = this.noteToMidi[note] || 60;
+        const midiNote = baseNote + semitoneOffset + (octaveOffset * 12) + (state.octaveShift || 0);
+        
+        const parsed = {
+            type: 'note',
+            note: letter,
+            midiNote,
+            duration: state.unitLength.mul(this.parseLength(length)),
+            accidental: accidental,
+            octave: Math.floor(baseNote / 12) - 1 + octaveOffset,
+            pitchKey,
+            semitoneOffset
+        };
+        if (tie) parsed.tie = true;
+        
+        return parsed;
+    }
+
+    /**
+     * Registra el inicio de una nota, acorde o silencio: las alteraciones
+     * de las notas ligadas solo se heredan en el ataque siguiente
+     */
+    startOnset(state, onsetNotes) {
+        state.tiedAccidentals = {};
+        onsetNotes.forEach(note => {
+            if (note.tie) state.tiedAccidentals[note.pitchKey] = note.semitoneOffset;
+            delete note.pitchKey;
+            delete note.semitoneOffset;
+        });
+    }
+
+    /**
+     * Marca si una nota o acorde enlaza con el siguiente bajo una ligadura
+     */
+    markSlur(element, slurred) {
+        const targets = element.type === 'chord' ? [element, ...element.notes] : [element];
+        targets.forEach(target => {
+            if (slurred) {
+                target.slurred = true;
+            } else {
+                delete target.slurred;
+            }
+        });
+    }
+
+    /**
+     * Convierte la longitud escrita tras una nota en un multiplicador de L:
+     * "" = 1, "3" = 3, "/" = 1/2, "//" = 1/4, "/4" = 1/4, "3/2" = 3/2
+     */
+    parseLength(length = '') {
+        const match = length.match(/^(\d*)(\/*)(\d*)$/);
+        if (!match) {
+            return new Fraction(1);
+        }
+        
+        const [, numerator, slashes, denominator] = match;
+        let divisor = Math.pow(2, slashes.length);
+        if (slashes && denominator) {
+            divisor = Math.pow(2, slashes.length - 1) * parseInt(denominator);
+        }
+        
+        return new Fraction(numerator ? parseInt(numerator) : 1, divisor || 1);
+    }
+
+    /**
+     * Multiplica la duración de una nota, silencio o acorde (y sus notas)
+     */
+    scaleDuration(element, factor) {
+        element.duration = element.duration.mul(factor);
+        if (element.type === 'chord') {
+            element.notes.forEach(chordNote => {
+                chordNote.duration = chordNote.duration.mul(factor);
             });
         }
+    }
+
+    /**
+     * Factores de los ritmos punteados: > = 3/2 y 1/2, >> = 7/4 y 1/4...
+     * Con < se invierte el orden.
+     */
+    brokenRhythmFactors(broken) {
+        const power = Math.pow(2, broken.length);
+        const dotted = new Fraction(2 * power - 1, power);
+        const shortened = new Fraction(1, power);
+        
+        return broken[0] === '>' ? [dotted, shortened] : [shortened, dotted];
+    }
+
+    /**
+     * Interpreta el campo M: (3/4, C, C|, 2+3/8, none)
+     *
+     * Un compás con numerador o denominador cero (M:3/0) se cambia por
+     * 4/4 con un aviso.
+     * @param {string} meterString - Texto tras M:
+     * @param {Diagnostics} diagnostics - Donde se anotan los avisos
+     * @param {Object} fieldPosition - Posición del M: en el texto
+     * @returns {Object|null} - { numerator, denominator } o null sin compás
+     */
+    parseMeter(meterString = '', diagnostics = new Diagnostics(), fieldPosition = {}) {
+        const meter = meterString.trim();
+        
+        if (meter === 'C') return { numerator: 4, denominator: 4 };
+        if (meter === 'C|') return { numerator: 2, denominator: 2 };
+        
+        const match = meter.match(/^\(?([\d+\s]+)\)?\s*\/\s*(\d+)$/);
+        if (!match) {
+            return null;
+        }
+        
+        // Los compases compuestos (2+3/8) suman sus numeradores
+        const numerator = match[1].split('+').reduce((sum, part) => sum + (parseInt(part) || 0), 0);
+        const denominator = parseInt(match[2]);
+        if (numerator === 0 || denominator === 0) {
+            diagnostics.warning('invalid-meter', `M:${meter} no es un compás válido: se usa 4/4`, fieldPosition);
+            return { numerator: 4, denominator: 4 };
+        }
+        return { numerator, denominator };
+    }
+
+    /**
+     * Duración de un compás completo en redondas (4/4 si no hay compás)
+     */
+    barLength(timeSignature) {
+        if (!timeSignature) {
+            return new Fraction(1);
+        }
+        return new Fraction(timeSignature.numerator, timeSignature.denominator);
+    }
+
+    /**
+     * Calcula la unidad de nota (L:). Si no se indica, es 1/16 para
+     * compases menores que 3/4 y 1/8 en el resto de casos.
+     */
+    parseUnitLength(lengthString, timeSignature) {
+        if (lengthString) {
+            try {
+                return Fraction.from(lengthString);
+            } catch (error) {
+                // L: mal formado: usar la unidad por defecto
+            }
+        }
+        
+        if (timeSignature && timeSignature.numerator / timeSignature.denominator < 0.75) {
+            return new Fraction(1, 16);
+        }
+        
+        return new Fraction(1, 8);
+    }
+
+    /**
+     * Convierte un signo de alteración ABC (^, ^^, _, __, =) a semitonos
+     */
+    accidentalToSemitones(accidental) {
+        if (accidental === '^^') return 2;
+        if (accidental === '__') return -2;
+        return this.accidentals[accidental] || 0;
+    }
+
+    /**
+     * Interpreta el campo K: y calcula la armadura resultante
+     *
+     * Soporta tonalidades mayores y menores (K:G, K:Gm), modos (K:D dor,
+     * K:A mix), alteraciones explícitas (K:D exp ^f _b) y K:none.
+     * @param {string} keyString - Valor del campo K:
+     * @returns {Object} - { tonic, mode, fifths, accidentals }
+     */
+    parseKey(keyString = '') {
+        const keySignature = {
+            tonic: 'C',
+            mode: 'maj',
+            fifths: 0,
+            accidentals: {}
+        };
+        const tokens = keyString.trim().split(/\s+/).filter(Boolean);
+        
+        // Sin tónica: K:none, gaita (K:HP, K:Hp), K: vacío o solo alteraciones
+        const tonicMatch = (tokens[0] || '').match(/^([A-G])([#b]?)(.*)$/);
+        if (!tonicMatch) {
+            if ((tokens[0] || '').toLowerCase() === 'none') {
+                keySignature.tonic = null;
+                keySignature.mode = 'none';
+                tokens.shift();
+            } else if (tokens[0] === 'HP' || tokens[0] === 'Hp') {
+                // La gaita de las Highlands: HP sin armadura, Hp con F# y C#
+                keySignature.tonic = 'A';
+                keySignature.mode = 'mix';
+                if (tokens.shift() === 'Hp') tokens.unshift('^f', '^c', '=g');
+            }
+            this.applyExplicitAccidentals(keySignature, tokens);
+            return keySignature;
+        }
+        
+        const [, letter, tonicAccidental, rest] = tonicMatch;
+        tokens.shift();
+        if (rest) tokens.unshift(rest);
+        keySignature.tonic = letter + tonicAccidental;
+        
+        // El modo es la primera palabra tras la tónica (solo cuentan 3 letras)
+        const modeWord = (tokens[0] || '').toLowerCase();
+        if (/^[a-z]+$/.test(modeWord) && modeWord !== 'exp') {
+            const mode = modeWord === 'm' ? 'm' : modeWord.substring(0, 3);
+            if (mode in this.modes) {
+                keySignature.mode = mode === 'm' ? 'min' : mode;
+                tokens.shift();
+            }
+        }
         
-        return notes;
+        // Con "exp" solo valen las alteraciones escritas a continuación
+        if (tokens[0] && tokens[0].toLowerCase() === 'exp') {
+            tokens.shift();
+        } else {
+            let fifths = this.letterFifths[letter] + this.modes[keySignature.mode];
+            if (tonicAccidental === '#') fifths += 7;
+            if (tonicAccidental === 'b') fifths -= 7;
+            keySignature.fifths = fifths;
+            keySignature.accidentals = this.fifthsToAccidentals(fifths);
+        }
+        
+        this.applyExplicitAccidentals(keySignature, tokens);
+        return keySignature;
+    }
+
+    /**
+     * Lee las cláusulas transpose= (semitonos al reproducir) y octave=
+     * (octavas que se suman a las notas escritas) de un campo K:
+     * @param {string} keyString - Valor del campo K: (K:Bb transpose=-2)
+     * @returns {Object} - { transpose, octave } con las que aparecen
+     */
+    parseKeyClauses(keyString = '') {
+        const clauses = {};
+        const pattern = /\b(transpose|octave)\s*=\s*([+-]?\d+)/g;
+        let match;
+        while ((match = pattern.exec(keyString)) !== null) {
+            clauses[match[1]] = parseInt(match[2]);
+        }
+        return clauses;
+    }
+
+    /**
+     * Calcula las alteraciones de una armadura a partir de su número de
+     * quintas (positivo = sostenidos, negativo = bemoles)
+     */
+    fifthsToAccidentals(fifths) {
+        const accidentals = {};
+        const order = fifths >= 0 ? this.sharpOrder : this.flatOrder;
+        const direction = fifths >= 0 ? 1 : -1;
+        
+        // Más de 7 alteraciones implica dobles sostenidos o dobles bemoles
+        for (let i = 0; i < Math.abs(fifths); i++) {
+            const letter = order[i % 7];
+            accidentals[letter] = (accidentals[letter] || 0) + direction;
+        }
+        
+        return accidentals;
+    }
+
+    /**
+     * Añade a la armadura las alteraciones explícitas (^f, _b, =c...)
+     */
+    applyExplicitAccidentals(keySignature, tokens) {
+        tokens.forEach(token => {
+            const match = token.match(/^(\^\^|\^|__|_|=)([A-Ga-g])$/);
+            if (match) {
+                keySignature.accidentals[match[2].toUpperCase()] = this.accidentalToSemitones(match[1]);
+            }
+        });
     }
 
     /**
@@ -142,9 +1722,18 @@ class ABCParser {
     extractMetadata(abcString) {
         const metadata = {};
         
-        // Buscar comentarios
+        // Buscar comentarios; las líneas %% son directivas
         const comments = abcString.match(/%.*$/gm) || [];
-        metadata.comments = comments.map(c => c.substring(1).trim());
+        metadata.comments = comments
+            .filter(c => !c.startsWith('%%'))
+            .map(c => c.substring(1).trim());
+        metadata.directives = comments
+            .filter(c => c.startsWith('%%'))
+            .map(c => c.substring(2).trim());
+        
+        // Letra completa (W:), que se imprime tras la música sin alinear
+        metadata.words = (abcString.match(/^W:.*$/gm) || [])
+            .map(line => line.substring(2).trim());
         
         // Buscar información de compás
         const barLines = (abcString.match(/\|/g) || []).length;
@@ -154,74 +1743,142 @@ class ABCParser {
     }
 
     /**
-     * Convierte tempo ABC a BPM
+     * Convierte tempo ABC a BPM (negras por minuto)
      */
     parseTempo(tempoString) {
-        // Formato común: "1/4=120"
-        const match = tempoString.match(/(\d+)\/(\d+)=(\d+)/);
-        if (match) {
-            return parseInt(match[3]);
+        const { bpm } = this.parseTempoField(tempoString);
+        return bpm === null ? 120 : bpm;
+    }
+
+    /**
+     * Interpreta un campo Q: completo
+     *
+     * - Q:1/4=120, Q:3/8=120 (negra con puntillo en 6/8) y Q:1/4 3/8=60,
+     *   donde el pulso es la suma de las figuras
+     * - Q:120, forma antigua en negras por minuto
+     * - Q:"Allegro" 1/4=132 y Q:"Andante": el texto entre comillas se
+     *   guarda y, si no hay tempo numérico, se busca en tempoTerms
+     *
+     * Un pulso con denominador cero (Q:1/0=100) o un tempo nulo se
+     * descartan con un aviso.
+     * @param {string} value - Texto tras Q:
+     * @param {Diagnostics} diagnostics - Donde se anotan los avisos
+     * @param {Object} fieldPosition - Posición del Q: en el texto
+     * @returns {Object} - { bpm, microsecondsPerQuarter, text } con el
+     *   tempo en negras por minuto (null si no se puede saber)
+     */
+    parseTempoField(value, diagnostics = new Diagnostics(), fieldPosition = {}) {
+        const texts = [...value.matchAll(/"([^"]*)"/g)].map(match => match[1].trim()).filter(Boolean);
+        const rest = value.replace(/"[^"]*"/g, ' ').trim();
+        const text = texts.length > 0 ? texts.join(' ') : null;
+        let bpm = null;
+        
+        const beats = rest.match(/^((?:\d+\/\d+\s*)+)=\s*(\d+(?:\.\d+)?)/);
+        if (beats) {
+            // Una figura con denominador cero deja el pulso a cero
+            const figures = beats[1].trim().split(/\s+/);
+            const beat = figures.some(figure => /\/0+$/.test(figure)) ? new Fraction(0) :
+                figures.reduce((sum, figure) => sum.add(Fraction.from(figure)), new Fraction(0));
+            bpm = parseFloat(beats[2]) * beat.valueOf() * 4;
+        } else if (/^\d+(\.\d+)?$/.test(rest)) {
+            bpm = parseFloat(rest);
+        } else if (text) {
+            bpm = this.tempoFromText(text);
+        }
+        
+        if (bpm === 0) {
+            diagnostics.warning('invalid-tempo', `Q:${value.trim()} no es un tempo válido: se ignora`, fieldPosition);
+            bpm = null;
         }
         
-        // Solo número
-        const num = parseInt(tempoString);
-        return isNaN(num) ? 120 : num;
+        return {
+            bpm,
+            microsecondsPerQuarter: bpm ? Math.round(60000000 / bpm) : null,
+            text
+        };
+    }
+
+    /**
+     * Negras por minuto de un texto de tempo: el término completo o la
+     * primera palabra conocida ("Allegro con brio" como Allegro)
+     * @returns {number|null} - Tempo o null si no contiene ningún término
+     */
+    tempoFromText(text) {
+        const normalized = text.toLowerCase().trim();
+        if (normalized in this.tempoTerms) {
+            return this.tempoTerms[normalized];
+        }
+        const word = normalized.split(/[^a-záéíóúàèìòù]+/).find(term => term in this.tempoTerms);
+        return word ? this.tempoTerms[word] : null;
     }
 
     /**
      * Valida la sintaxis ABC
+     *
+     * Solo son errores los que impiden convertir (texto vacío, sin notas,
+     * sin K: o sin M:); los problemas de la música son avisos porque el
+     * parser los salta y sigue.
+     * @returns {Object} - { isValid, errors, warnings, diagnostics }
      */
     validate(abcString) {
-        const errors = [];
+        const diagnostics = this.checkRequired(abcString);
+        
+        // Sin texto no hay nada que parsear
+        if (!abcString || abcString.trim().length === 0) {
+            return this.validationResult(diagnostics);
+        }
+        
+        try {
+            diagnostics.items.push(...this.parse(abcString).diagnostics);
+        } catch (error) {
+            diagnostics.error('parse-failed', `No se pudo analizar la notación: ${error.message}`);
+        }
+        
+        return this.validationResult(diagnostics);
+    }
+
+    /**
+     * Comprueba, sin parsear, lo imprescindible para convertir: que haya
+     * texto, alguna nota, K: y M:
+     * @param {string} abcString - La notación ABC
+     * @returns {Diagnostics} - Los errores encontrados
+     */
+    checkRequired(abcString) {
+        const diagnostics = new Diagnostics();
         
         // Verificar que hay contenido
         if (!abcString || abcString.trim().length === 0) {
-            errors.push('La notación ABC no puede estar vacía');
-            return {
-                isValid: false,
-                errors
-            };
+            diagnostics.error('empty-input', 'La notación ABC no puede estar vacía');
+            return diagnostics;
         }
         
         // Verificar que hay al menos una nota
         const hasNotes = /[A-Ga-g]/.test(abcString);
         if (!hasNotes) {
-            errors.push('No se encontraron notas válidas (A-G, a-g)');
+            diagnostics.error('missing-notes', 'No se encontraron notas válidas (A-G, a-g)');
         }
         
         // Verificar estructura básica (opcional)
         if (!abcString.includes('K:')) {
-            errors.push('Falta la clave (K:)');
+            diagnostics.error('missing-key', 'Falta la clave (K:)');
         }
         
         if (!abcString.includes('M:')) {
-            errors.push('Falta el compás (M:)');
-        }
-        
-        // Solo validar caracteres en la sección de notas (después del header)
-        const lines = abcString.split('\n');
-        const noteSection = lines.filter(line => 
-            !line.startsWith('X:') && 
-            !line.startsWith('T:') && 
-            !line.startsWith('C:') && 
-            !line.startsWith('M:') && 
-            !line.startsWith('L:') && 
-            !line.startsWith('K:') && 
-            !line.startsWith('Q:') &&
-            line.trim() !== ''
-        ).join(' ');
-        
-        if (noteSection) {
-            const invalidChars = noteSection.match(/[^A-Ga-g\s,.'^_=\d|\[\](){}]/g);
-            if (invalidChars) {
-                const uniqueInvalidChars = [...new Set(invalidChars)];
-                errors.push(`Caracteres inválidos en las notas: ${uniqueInvalidChars.join(', ')}`);
-            }
+            diagnostics.error('missing-meter', 'Falta el compás (M:)');
         }
         
+        return diagnostics;
+    }
+
+    /**
+     * Resultado de la validación a partir de sus diagnósticos
+     */
+    validationResult(diagnostics) {
         return {
-            isValid: errors.length === 0,
-            errors
+            isValid: !diagnostics.hasErrors(),
+            errors: diagnostics.messages('error'),
+            warnings: diagnostics.messages('warning'),
+            diagnostics: diagnostics.items
         };
     }
 }
@@ -0,0 +1,338 @@
+/**
+ * Transpositor de notación ABC
+ *
+ * Devuelve el mismo texto ABC en otra tonalidad: reescribe los campos K:
+ * (también [K:] en el cuerpo), la letra, la octava y la alteración de cada
+ * nota y los símbolos de acorde, y deja como estaban los comentarios, el
+ * resto de campos, los espacios y los saltos de línea.
+ *
+ * La transposición es diatónica: todas las notas avanzan el mismo número
+ * de letras que la tónica, así que las alteraciones de la armadura siguen
+ * siéndolo en la nueva tonalidad y solo se escriben las que hacen falta.
+ */
+
+const ABCParser = require('./abcParser');
+const Diagnostics = require('./diagnostics');
+
+class ABCTransposer {
+    constructor(parser = new ABCParser()) {
+        this.parser = parser;
+
+        // Letras en orden y su altura natural desde C
+        this.letters = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+        this.naturals = [0, 2, 4, 5, 7, 9, 11];
+
+        // Tónicas mayores por posición en el círculo de quintas (F = 0)
+        this.fifthsOrder = 'FCGDAEB';
+
+        this.accidentalSigns = { '-2': '__', '-1': '_', '0': '=', '1': '^', '2': '^^' };
+    }
+
+    /**
+     * Transpone un tune o un cancionero
+     *
+     * Con options.semitones la tónica de destino se escribe con la armadura
+     * más sencilla (de 5 bemoles a 6 sostenidos); con options.key ('D', 'Bb',
+     * 'F#') cada tune va a esa tónica por el camino más corto (hasta 6
+     * semitonos arriba o abajo) y conserva su modo. Los K: sin tónica
+     * (K:none) no cambian y sus notas llevan las alteraciones escritas.
+     * @param {string} abcString - La notación ABC
+     * @param {Object} options - { semitones } o { key }
+     * @returns {Object} - { success, abc, semitones, fromKey, toKey, diagnostics }
+     */
+    transpose(abcString, options = {}) {
+        const diagnostics = new Diagnostics();
+        const target = this.validateOptions(options, diagnostics);
+
+        if (typeof abcString !== 'string' || abcString.trim().length === 0) {
+            diagnostics.error('empty-input', 'La notación ABC no puede estar vacía');
+        }
+        if (diagnostics.hasErrors()) {
+            return {
+                success: false,
+                error: 'Transposición inválida',
+                details: diagnostics.messages('error'),
+                diagnostics: diagnostics.items
+            };
+        }
+
+        const result = { success: true, semitones: null, fromKey: null, toKey: null };
+        let tune = null;
+        let inBody = false;
+
+        const lines = abcString.split('\n').map(line => {
+            const field = line.match(/^(\s*)([A-Za-z]):(.*)$/);
+
+            // Cada X: empieza un tune y la primera línea en blanco lo termina
+            if (field && field[2] === 'X' || line.trim() === '') {
+                tune = null;
+                inBody = false;
+                return line;
+            }
+            if (line.trim().startsWith('%')) {
+                return line;
+            }
+            if (field) {
+                if (field[2] !== 'K') return line;
+
+                const value = this.splitComment(field[3]);
+                if (!tune) {
+                    tune = this.startTune(value.code, target);
+                    if (result.semitones === null) {
+                        result.semitones = tune.semitones;
+                        result.fromKey = value.code.trim();
+                    }
+                }
+                const key = this.transposeKey(value.code, tune);
+                if (result.toKey === null) result.toKey = key.trim();
+                inBody = true;
+                return `${field[1]}K:${key}${value.comment}`;
+            }
+
+            return inBody && tune ? this.transposeLine(line, tune) : line;
+        });
+
+        result.abc = lines.join('\n');
+        if (result.semitones === null) {
+            diagnostics.warning('missing-key', 'No hay ningún campo K:: el texto no cambia');
+        }
+        result.diagnostics = diagnostics.items;
+        return result;
+    }
+
+    /**
+     * Comprueba options.semitones u options.key
+     * @returns {Object} - { semitones } o { key } con la tonalidad parseada
+     */
+    validateOptions(options, diagnostics) {
+        if (options.key !== undefined && options.key !== null && options.key !== '') {
+            const keySignature = this.parser.parseKey(String(options.key));
+            if (!/^[A-G][#b]?/.test(String(options.key).trim()) || !keySignature.tonic) {
+                diagnostics.error('invalid-key', `Tonalidad de destino inválida: ${options.key}`);
+            }
+            return { key: keySignature };
+        }
+
+        const semitones = Number(options.semitones);
+        if (options.semitones === undefined || !Number.isInteger(semitones)) {
+            diagnostics.error('invalid-transpose',
+                `Transposición inválida: ${options.semitones} (se esperan semitonos enteros o una tonalidad)`);
+        }
+        return { semitones };
+    }
+
+    /**
+     * Calcula el intervalo de un tune a partir de su primer K:
+     * @returns {Object} - Estado del tune { semitones, steps, source, target, ... }
+     */
+    startTune(keyValue, target) {
+        const source = this.parser.parseKey(keyValue);
+        const sourceTonic = this.tonicOf(source);
+        let semitones;
+        let targetLetter;
+
+        if (target.key) {
+            const targetTonic = this.tonicOf(target.key);
+            semitones = ((targetTonic.pitch - sourceTonic.pitch) % 12 + 18) % 12 - 6;
+            targetLetter = targetTonic.letter;
+        } else {
+            // La armadura resultante va de 5 bemoles a 6 sostenidos
+            semitones = target.semitones;
+            const modeShift = source.tonic ? this.parser.modes[source.mode] : 0;
+            const keyFifths = source.tonic ? source.fifths : 0;
+            const fifths = ((keyFifths + 7 * semitones) % 12 + 12 + 5) % 12 - 5;
+            const index = fifths - modeShift + 1;
+            targetLetter = this.letters.indexOf(this.fifthsOrder[((index % 7) + 7) % 7]);
+        }
+
+        // Letras que avanza cada nota: las de la tónica, con las octavas
+        // que correspondan a los semitonos
+        const letterShift = (targetLetter - sourceTonic.letter + 7) % 7;
+        const octaves = Math.round((semitones * 7 / 12 - letterShift) / 7);
+
+        return {
+            semitones,
+            steps: letterShift + 7 * octaves,
+            source,
+            target: null,
+            sourceBar: {},
+            targetBar: {}
+        };
+    }
+
+    /**
+     * Letra (0-6 desde C) y altura (0-11) de la tónica; C si no tiene
+     */
+    tonicOf(keySignature) {
+        const tonic = keySignature.tonic || 'C';
+        const letter = this.letters.indexOf(tonic[0]);
+        const shift = tonic[1] === '#' ? 1 : tonic[1] === 'b' ? -1 : 0;
+        return { letter, pitch: (this.naturals[letter] + shift + 12) % 12 };
+    }
+
+    /**
+     * Reescribe el valor de un campo K: (tónica y alteraciones explícitas)
+     * y actualiza las armaduras de origen y de destino del tune
+     *
+     * Tras el primer K:, uno sin tónica ([K:clef=bass]) no cambia la
+     * tonalidad, igual que en el parser.
+     */
+    transposeKey(value, tune) {
+        if (tune.target && /^(\w+=|$)/.test(value.trim())) return value;
+
+        tune.source = this.parser.parseKey(value);
+        tune.sourceBar = {};
+        tune.targetBar = {};
+
+        // Las cláusulas (clef=, transpose=...) no se tocan
+        const key = value.replace(/^(\s*)([A-G])([#b]?)/, (match, space, letter, accidental) => {
+            const shift = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+            const spelled = this.spell(this.letters.indexOf(letter), shift, tune);
+            return space + this.letters[spelled.letter] + (spelled.shift > 0 ? '#' : spelled.shift < 0 ? 'b' : '');
+        }).replace(/(^|\s)(\^\^|\^|__|_|=)([A-Ga-g])(?=\s|$)/g, (match, space, accidental, letter) => {
+            const shift = this.parser.accidentalToSemitones(accidental);
+            const spelled = this.spell(this.letters.indexOf(letter.toUpperCase()), shift, tune);
+            return space + this.accidentalSigns[spelled.shift] + this.letters[spelled.letter].toLowerCase();
+        });
+
+        const target = this.parser.parseKey(key);
+        tune.target = tune.source.tonic ? target : { ...target, accidentals: {} };
+        return key;
+    }
+
+    /**
+     * Nombre de una nota transpuesta sin octava: letra (0-6) y alteración
+     *
+     * La letra avanza los pasos del tune; si la alteración necesaria pasa
+     * de un doble sostenido o bemol se elige la letra vecina.
+     */
+    spell(letter, shift, tune) {
+        let target = ((letter + tune.steps) % 7 + 7) % 7;
+        let needed = ((this.naturals[letter] + shift + tune.semitones - this.naturals[target]) % 12 + 18) % 12 - 6;
+        if (needed > 2 || needed < -2) {
+            target = (target + (needed > 0 ? 1 : 6)) % 7;
+            needed = ((this.naturals[letter] + shift + tune.semitones - this.naturals[target]) % 12 + 18) % 12 - 6;
+        }
+        return { letter: target, shift: needed };
+    }
+
+    /**
+     * Transpone una línea de música: notas, símbolos de acorde y campos
+     * [K:] en su sitio, sin tocar el resto del texto ni el comentario
+     */
+    transposeLine(line, tune) {
+        const { code, comment } = this.splitComment(line);
+        let output = '';
+        let position = 0;
+
+        this.parser.tokenizeBody(code).forEach(token => {
+            let replacement = null;
+
+            if (token.type === 'bar') {
+                tune.sourceBar = {};
+                tune.targetBar = {};
+            } else if (token.type === 'note') {
+                replacement = this.transposeNote(token.match, tune);
+            } else if (token.type === 'quoted' && token.match[0].endsWith('"') && token.match[0].length > 1) {
+                replacement = `"${this.transposeChordSymbol(token.match[1], tune)}"`;
+            } else if (token.type === 'field' && token.match[1] === 'K') {
+                replacement = `[K:${this.transposeKey(token.match[2], tune)}]`;
+            }
+
+            if (replacement !== null) {
+                output += code.slice(position, token.start) + replacement;
+                position = token.end;
+            }
+        });
+
+        return output + code.slice(position) + comment;
+    }
+
+    /**
+     * Transpone una nota
+     *
+     * La alteración se escribe si la original estaba escrita o si la nueva
+     * no es la que ya darían la armadura y las alteraciones del compás.
+     * @param {Array} match - Token de nota del parser
+     * @param {Object} tune - Estado del tune
+     * @returns {string} - La nota en el texto transpuesto
+     */
+    transposeNote(match, tune) {
+        const [, accidental = '', note, octaveMarks, length, tie] = match;
+        const letter = this.letters.indexOf(note.toUpperCase());
+        const octave = (note === note.toUpperCase() ? 4 : 5) +
+            (octaveMarks.split("'").length - 1) - (octaveMarks.split(',').length - 1);
+        const step = octave * 7 + letter;
+
+        // Altura que suena en el original
+        let shift;
+        if (accidental) {
+            shift = this.parser.accidentalToSemitones(accidental);
+            tune.sourceBar[step] = shift;
+        } else if (step in tune.sourceBar) {
+            shift = tune.sourceBar[step];
+        } else {
+            shift = tune.source.accidentals[this.letters[letter]] || 0;
+        }
+        const pitch = 12 * (octave + 1) + this.naturals[letter] + shift + tune.semitones;
+
+        // Misma altura con la letra desplazada
+        let targetStep = step + tune.steps;
+        const neededShift = () => pitch - 12 * (Math.floor(targetStep / 7) + 1) - this.naturals[((targetStep % 7) + 7) % 7];
+        while (neededShift() > 2) targetStep++;
+        while (neededShift() < -2) targetStep--;
+        const needed = neededShift();
+
+        const targetLetter = this.letters[((targetStep % 7) + 7) % 7];
+        const implied = targetStep in tune.targetBar ?
+            tune.targetBar[targetStep] : tune.target.accidentals[targetLetter] || 0;
+        let sign = '';
+        if (accidental || needed !== implied) {
+            sign = this.accidentalSigns[needed];
+            tune.targetBar[targetStep] = needed;
+        }
+
+        const targetOctave = Math.floor(targetStep / 7);
+        const name = targetOctave >= 5 ?
+            targetLetter.toLowerCase() + "'".repeat(targetOctave - 5) :
+            targetLetter + ','.repeat(4 - targetOctave);
+
+        return sign + name + length + tie;
+    }
+
+    /**
+     * Transpone la fundamental y el bajo de un símbolo de acorde ("F#m7/C#");
+     * las anotaciones y los textos que no son acordes no cambian
+     */
+    transposeChordSymbol(text, tune) {
+        if (!this.parser.parseChordSymbol(text)) return text;
+
+        const rename = (letter, accidental) => {
+            const shift = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+            let spelled = this.spell(this.letters.indexOf(letter), shift, tune);
+            if (Math.abs(spelled.shift) > 1) {
+                // Los símbolos de acorde no usan dobles alteraciones
+                const pitch = this.naturals[spelled.letter] + spelled.shift;
+                const letterIndex = (spelled.letter + (spelled.shift > 0 ? 1 : 6)) % 7;
+                spelled = { letter: letterIndex, shift: ((pitch - this.naturals[letterIndex]) % 12 + 18) % 12 - 6 };
+            }
+            return this.letters[spelled.letter] + (spelled.shift > 0 ? '#' : spelled.shift < 0 ? 'b' : '');
+        };
+
+        return text.replace(/^(\s*)([A-G])([#b]?)([^/\s]*)(?:\/([A-G])([#b]?))?/,
+            (match, space, root, rootAccidental, quality, bass, bassAccidental) =>
+                space + rename(root, rootAccidental) + quality + (bass ? '/' + rename(bass, bassAccidental) : ''));
+    }
+
+    /**
+     * Separa el código de una línea de su comentario (desde el primer %)
+     */
+    splitComment(line) {
+        const index = line.indexOf('%');
+        return index < 0 ?
+            { code: line, comment: '' } :
+            { code: line.slice(0, index), comment: line.slice(index) };
+    }
+}
+
+module.exports = ABCTransposer;
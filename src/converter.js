@@ -10,17 +10,31 @@
 
 const ABCParser = require('./abcParser');
 const MidiGenerator = require('./midiGenerator');
+const Diagnostics = require('./diagnostics');
 
 class ABCToMidiConverter {
-    constructor() {
-        this.parser = new ABCParser();
-        this.generator = new MidiGenerator();
+    /**
+     * @param {Object} options - Opciones del parser y del generador
+     *   ({ tempoTerms, ppq, gate })
+     */
+    constructor(options = {}) {
+        this.parser = new ABCParser(options);
+        this.generator = new MidiGenerator(options);
         this.conversionHistory = [];
     }
 
     /**
      * Convierte notación ABC a archivo MIDI
-     * @param {string} abcString - La notación ABC
+     *
+     * En un cancionero se convierte el tune cuyo X: indique options.tune
+     * (el primero si no se indica). Con options.karaoke se genera un
+     * archivo .kar con la letra en su pista de texto. options.transpose
+     * transpone toda la música (y su armadura) esos semitonos.
+     *
+     * El resultado incluye siempre diagnostics: los errores que impiden
+     * la conversión y los avisos de lo que el parser ha saltado, con su
+     * línea en abcString (en el cancionero, no en el tune).
+     * @param {string|Object} abcString - La notación ABC o un tune de splitTunes
      * @param {Object} options - Opciones de conversión
      * @returns {Object} - Resultado de la conversión
      */
@@ -28,33 +42,31 @@ class ABCToMidiConverter {
         const startTime = Date.now();
         
         try {
-            // Paso 1: Validar entrada
-            const validation = this.validateInput(abcString);
-            if (!validation.isValid) {
-                return {
-                    success: false,
-                    error: 'Entrada inválida',
-                    details: validation.errors,
-                    timestamp: new Date().toISOString()
-                };
-            }
+            // Pasos 0 y 1: Elegir el tune y validar la entrada y las opciones
+            const input = this.prepareInput(abcString, options);
+            if (input.failure) return input.failure;
+            options = input.options;
 
             // Paso 2: Parsear ABC
-            const parsedMusic = this.parser.parse(abcString);
+            const parsedMusic = this.parser.parseTune(input.tune);
             
             // Paso 3: Validar estructura musical
-            const musicValidation = this.validateMusicStructure(parsedMusic);
+            const musicValidation = this.validateMusicStructure(parsedMusic, options);
             if (!musicValidation.isValid) {
+                const diagnostics = new Diagnostics();
+                musicValidation.errors.forEach(error => diagnostics.error('invalid-music', error));
                 return {
                     success: false,
                     error: 'Estructura musical inválida',
                     details: musicValidation.errors,
+                    diagnostics: [...parsedMusic.diagnostics, ...diagnostics.items],
                     timestamp: new Date().toISOString()
                 };
             }
 
-            // Paso 4: Generar MIDI
-            const midiBuffer = this.generator.generate(parsedMusic);
+            // Paso 4: Generar MIDI (con los avisos del despliegue de repeticiones)
+            const generation = new Diagnostics();
+            const midiBuffer = this.generator.generate(parsedMusic, { ...options, diagnostics: generation });
             
             // Paso 5: Optimizar si es necesario
             const optimizedMidi = options.optimize ? 
@@ -65,13 +77,18 @@ class ABCToMidiConverter {
                 success: true,
                 midiBuffer: optimizedMidi,
                 metadata: {
+                    number: parsedMusic.header.number,
                     title: parsedMusic.header.title,
                     key: parsedMusic.header.key,
                     tempo: parsedMusic.header.tempo,
+                    tempoText: parsedMusic.header.tempoText,
                     meter: parsedMusic.header.meter,
-                    noteCount: parsedMusic.body.length,
+                    transpose: options.transpose || 0,
+                    format: options.karaoke ? 'kar' : 'mid',
+                    noteCount: this.countNotes(parsedMusic.body),
                     duration: Date.now() - startTime
                 },
+                diagnostics: [...parsedMusic.diagnostics, ...musicValidation.diagnostics, ...generation.items],
                 timestamp: new Date().toISOString()
             };
 
@@ -79,13 +96,201 @@ class ABCToMidiConverter {
             return conversionResult;
 
         } catch (error) {
+            const diagnostics = new Diagnostics();
+            diagnostics.error('conversion-failed', error.message);
             return {
                 success: false,
                 error: 'Error durante la conversión',
                 details: error.message,
+                diagnostics: diagnostics.items,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Línea de tiempo de la reproducción, para herramientas de estudio
+     *
+     * Para cada nota o acorde y cada barra, en el orden en que suenan (con
+     * las partes y repeticiones desplegadas, como en el MIDI), devuelve su
+     * voz, su tick y su segundo de inicio con todos los cambios de tempo
+     * aplicados, su duración y el tramo de abcString del que sale
+     * (source, con start y end como en el árbol sintáctico). Incluye el
+     * mapa de tempo y la duración total en segundos.
+     * @param {string} abcString - La notación ABC
+     * @param {Object} options - Opciones de conversión (tune, transpose,
+     *   ppq, expandRepeats, parts...)
+     * @returns {Object} - { success, timeline, diagnostics }, con
+     *   { ppq, endTick, seconds, tempos, notes, bars } en timeline
+     */
+    timeline(abcString, options = {}) {
+        try {
+            const input = this.prepareInput(abcString, options);
+            if (input.failure) return input.failure;
+
+            const parsedMusic = this.parser.parseTune(input.tune);
+            const musicValidation = this.validateMusicStructure(parsedMusic, input.options);
+            if (!musicValidation.isValid) {
+                const diagnostics = new Diagnostics();
+                musicValidation.errors.forEach(error => diagnostics.error('invalid-music', error));
+                return this.failure('Estructura musical inválida', musicValidation.errors,
+                    [...parsedMusic.diagnostics, ...diagnostics.items]);
+            }
+
+            const generation = new Diagnostics();
+            const playback = this.generator.buildPlayback(parsedMusic, { ...input.options, diagnostics: generation });
+            const sources = this.parser.sourcesFromAst(parsedMusic.ast);
+            const seconds = tick => this.generator.ticksToSeconds(tick, playback.tempos, playback.ppq);
+            const notes = [];
+            const bars = [];
+
+            playback.voices.forEach(voice => voice.played.forEach(({ element, tick, duration, midiNotes }) => {
+                const source = sources.get(element) || null;
+                if (element.type === 'bar') {
+                    bars.push({ voice: voice.id, bar: element.bar, startTick: tick, startSeconds: seconds(tick), source });
+                    return;
+                }
+                notes.push({
+                    voice: voice.id,
+                    type: element.type,
+                    midiNotes,
+                    startTick: tick,
+                    durationTicks: duration,
+                    startSeconds: seconds(tick),
+                    durationSeconds: Math.round((seconds(tick + duration) - seconds(tick)) * 1e6) / 1e6,
+                    source
+                });
+            }));
+
+            // Las voces suenan a la vez: todo en orden de tiempo
+            notes.sort((a, b) => a.startTick - b.startTick);
+            bars.sort((a, b) => a.startTick - b.startTick);
+
+            return {
+                success: true,
+                timeline: {
+                    ppq: playback.ppq,
+                    endTick: playback.endTick,
+                    seconds: playback.seconds,
+                    tempos: playback.tempos,
+                    notes,
+                    bars
+                },
+                diagnostics: [...parsedMusic.diagnostics, ...musicValidation.diagnostics, ...generation.items],
                 timestamp: new Date().toISOString()
             };
+
+        } catch (error) {
+            const diagnostics = new Diagnostics();
+            diagnostics.error('conversion-failed', error.message);
+            return this.failure('Error al calcular la línea de tiempo', error.message, diagnostics.items);
+        }
+    }
+
+    /**
+     * Elige el tune del cancionero y valida la entrada y las opciones
+     * @param {string|Object} abcString - La notación ABC o un tune de splitTunes
+     * @param {Object} options - Opciones de conversión
+     * @returns {Object} - { tune, options } listos para parsear, o
+     *   { failure } con el resultado de error que hay que devolver
+     */
+    prepareInput(abcString, options = {}) {
+        // Paso 0: Elegir el tune del cancionero (convertAll ya lo da elegido)
+        let tune = abcString;
+        if (typeof abcString === 'string') {
+            tune = this.selectTune(abcString, options.tune);
+            if (!tune) {
+                const diagnostics = new Diagnostics();
+                diagnostics.error('tune-not-found', `No existe ningún tune con X:${options.tune}`);
+                return { failure: this.failure('Tune no encontrado', diagnostics.messages('error'), diagnostics.items) };
+            }
+        }
+
+        // Paso 0b: La transposición es un número entero de semitonos
+        // (la API puede enviarlo como texto)
+        if (options.transpose !== undefined) {
+            const transpose = Number(options.transpose);
+            if (!Number.isInteger(transpose)) {
+                const diagnostics = new Diagnostics();
+                diagnostics.error('invalid-transpose', `Transposición inválida: ${options.transpose} (se esperan semitonos enteros)`);
+                return { failure: this.failure('Opciones inválidas', diagnostics.messages('error'), diagnostics.items) };
+            }
+            options = { ...options, transpose };
+        }
+        
+        // Paso 1: Validar entrada
+        const validation = this.validateInput(tune && tune.text);
+        if (!validation.isValid) {
+            return { failure: this.failure('Entrada inválida', validation.errors, validation.diagnostics) };
+        }
+
+        return { tune, options };
+    }
+
+    /**
+     * Resultado de una operación fallida
+     */
+    failure(error, details, diagnostics) {
+        return {
+            success: false,
+            error,
+            details,
+            diagnostics,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Lista los tunes de un cancionero
+     * @param {string} abcString - Contenido del archivo ABC
+     * @returns {Array} - Tunes { number, title, key, meter }
+     */
+    listTunes(abcString) {
+        return this.parser.splitTunes(abcString).map(tune => {
+            const header = this.parser.parseHeader(tune.text.trim().split('\n'));
+            return {
+                number: header.number,
+                title: header.title,
+                key: header.key,
+                meter: header.meter
+            };
+        });
+    }
+
+    /**
+     * Convierte un tune del cancionero por su número X:
+     */
+    convertTune(abcString, number, options = {}) {
+        return this.convert(abcString, { ...options, tune: number });
+    }
+
+    /**
+     * Convierte todos los tunes de un cancionero
+     * @returns {Object} - { success, tunes } con el resultado de cada tune
+     */
+    convertAll(abcString, options = {}) {
+        const tunes = this.parser.splitTunes(abcString).map(tune => ({
+            number: tune.number,
+            ...this.convert(tune, options)
+        }));
+        
+        return {
+            success: tunes.length > 0 && tunes.every(tune => tune.success),
+            tunes
+        };
+    }
+
+    /**
+     * Busca un tune del cancionero por su número X: (el primero si no se
+     * indica número)
+     * @returns {Object|null} - Tune { number, text } o null si no existe
+     */
+    selectTune(abcString, number) {
+        const tunes = this.parser.splitTunes(abcString);
+        if (number === undefined || number === null || number === '') {
+            return tunes[0];
         }
+        return tunes.find(tune => tune.number === parseInt(number)) || null;
     }
 
     /**
@@ -100,7 +305,7 @@ class ABCToMidiConverter {
             midiBuffer,
             metadata: {
                 instruments,
-                trackCount: instruments.length,
+                trackCount: parsedMusic.voices.length,
                 ...parsedMusic.header
             }
         };
@@ -130,32 +335,38 @@ class ABCToMidiConverter {
 
     /**
      * Valida la entrada ABC
+     *
+     * Solo comprueba lo imprescindible (ver ABCParser.checkRequired): los
+     * avisos de la música salen del único parseo de convert y timeline.
      */
     validateInput(abcString) {
+        const diagnostics = new Diagnostics();
+        
         if (!abcString || typeof abcString !== 'string') {
-            return {
-                isValid: false,
-                errors: ['La entrada debe ser una cadena de texto válida']
-            };
+            diagnostics.error('invalid-input', 'La entrada debe ser una cadena de texto válida');
+            return this.parser.validationResult(diagnostics);
         }
 
         if (abcString.trim().length === 0) {
-            return {
-                isValid: false,
-                errors: ['La entrada no puede estar vacía']
-            };
+            diagnostics.error('empty-input', 'La entrada no puede estar vacía');
+            return this.parser.validationResult(diagnostics);
         }
 
         // Validar sintaxis ABC básica
-        const abcValidation = this.parser.validate(abcString);
-        return abcValidation;
+        return this.parser.validationResult(this.parser.checkRequired(abcString));
     }
 
     /**
      * Valida la estructura musical parseada
+     *
+     * Las notas que con la transposición de su voz y options.transpose
+     * quedan fuera del rango MIDI no impiden la conversión (suenan en la
+     * octava más cercana) y se devuelven como avisos en diagnostics.
+     * @returns {Object} - { isValid, errors, diagnostics }
      */
-    validateMusicStructure(parsedMusic) {
+    validateMusicStructure(parsedMusic, options = {}) {
         const errors = [];
+        const diagnostics = new Diagnostics();
 
         // Verificar que tenemos header y body
         if (!parsedMusic.header) {
@@ -171,20 +382,35 @@ class ABCToMidiConverter {
             errors.push('No se encontraron notas en la música');
         }
 
-        // Validar notas MIDI
+        // Validar notas MIDI de cada voz con su transposición
         if (parsedMusic.body && parsedMusic.body.length > 0) {
-            const midiValidation = this.generator.validateMidiNotes(parsedMusic.body);
-            if (!midiValidation.isValid) {
+            const voices = parsedMusic.voices || [{ body: parsedMusic.body }];
+            voices.forEach(voice => {
+                const settings = { ...parsedMusic.header.midi, ...voice.midi };
+                const transpose = (options.transpose || 0) + (voice.transpose || 0) + (settings.transpose || 0);
+                const midiValidation = this.generator.validateMidiNotes(voice.body, transpose);
                 errors.push(...midiValidation.errors);
-            }
+                midiValidation.warnings.forEach(warning => diagnostics.warning('note-out-of-range', warning));
+            });
         }
 
         return {
             isValid: errors.length === 0,
-            errors
+            errors,
+            diagnostics: diagnostics.items
         };
     }
 
+    /**
+     * Cuenta las notas del cuerpo, incluidas las de los acordes
+     */
+    countNotes(elements) {
+        return elements.reduce((count, element) => {
+            if (element.type === 'chord') return count + element.notes.length;
+            return count + (element.type === 'note' ? 1 : 0);
+        }, 0);
+    }
+
     /**
      * Obtiene estadísticas de conversión
      */
@@ -233,11 +459,11 @@ class ABCToMidiConverter {
     /**
      * Convierte un archivo ABC desde una ruta
      */
-    async convertFromFile(filePath) {
+    async convertFromFile(filePath, options = {}) {
         try {
             const fs = require('fs').promises;
             const abcString = await fs.readFile(filePath, 'utf8');
-            return this.convert(abcString);
+            return this.convert(abcString, options);
         } catch (error) {
             return {
                 success: false,
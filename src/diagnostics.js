@@ -0,0 +1,86 @@
+/**
+ * Diagnósticos de una partitura ABC
+ *
+ * Cada problema encontrado al validar o parsear se guarda con su
+ * gravedad (error, warning o info), un código estable que no cambia
+ * aunque cambie el mensaje, su posición (línea y columna, desde 1) y un
+ * extracto del texto, para que la interfaz o la API puedan señalarlo.
+ */
+
+class Diagnostics {
+    /**
+     * @param {Array} lines - Líneas del texto analizado, para los extractos
+     */
+    constructor(lines = []) {
+        this.lines = lines;
+        this.items = [];
+
+        // Caracteres a cada lado de la columna que se muestran en el extracto
+        this.excerptRadius = 20;
+    }
+
+    /**
+     * Añade un diagnóstico
+     * @param {string} severity - 'error', 'warning' o 'info'
+     * @param {string} code - Código estable ('unexpected-character'...)
+     * @param {string} message - Mensaje para el usuario
+     * @param {Object} position - { line, column } desde 1 (opcional)
+     */
+    add(severity, code, message, position = {}) {
+        const line = position.line || null;
+        const column = position.column || null;
+        this.items.push({
+            severity,
+            code,
+            message,
+            line,
+            column,
+            excerpt: this.excerpt(line, column)
+        });
+    }
+
+    error(code, message, position) {
+        this.add('error', code, message, position);
+    }
+
+    warning(code, message, position) {
+        this.add('warning', code, message, position);
+    }
+
+    info(code, message, position) {
+        this.add('info', code, message, position);
+    }
+
+    /**
+     * Indica si hay algún diagnóstico de gravedad error
+     */
+    hasErrors() {
+        return this.items.some(item => item.severity === 'error');
+    }
+
+    /**
+     * Mensajes de los diagnósticos de una gravedad
+     */
+    messages(severity) {
+        return this.items.filter(item => item.severity === severity).map(item => item.message);
+    }
+
+    /**
+     * Extracto de la línea alrededor de la columna (null sin línea)
+     */
+    excerpt(line, column) {
+        const text = line ? this.lines[line - 1] : undefined;
+        if (text === undefined) return null;
+
+        const source = text.replace(/\s+$/, '');
+        if (!column || source.length <= this.excerptRadius * 2) {
+            return source.trim();
+        }
+
+        const start = Math.max(0, column - 1 - this.excerptRadius);
+        const end = Math.min(source.length, column - 1 + this.excerptRadius);
+        return (start > 0 ? '…' : '') + source.slice(start, end) + (end < source.length ? '…' : '');
+    }
+}
+
+module.exports = Diagnostics;
@@ -0,0 +1,107 @@
+/**
+ * Números racionales exactos para duraciones musicales
+ *
+ * En ABC las duraciones son fracciones (1/8, 3/16, 1/12 en un tresillo...).
+ * Con números de coma flotante los errores se acumulan compás a compás,
+ * así que trabajamos siempre con numerador y denominador enteros.
+ */
+
+class Fraction {
+    /**
+     * @param {number} numerator - Numerador entero
+     * @param {number} denominator - Denominador entero distinto de cero
+     */
+    constructor(numerator, denominator = 1) {
+        if (denominator === 0) {
+            throw new Error('El denominador de una fracción no puede ser cero');
+        }
+
+        // Normalizar signo y reducir a la mínima expresión
+        const sign = denominator < 0 ? -1 : 1;
+        const divisor = Fraction.gcd(Math.abs(numerator), Math.abs(denominator)) || 1;
+        this.numerator = sign * numerator / divisor;
+        this.denominator = sign * denominator / divisor;
+    }
+
+    /**
+     * Máximo común divisor (algoritmo de Euclides)
+     */
+    static gcd(a, b) {
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * Crea una fracción desde un número entero, otra fracción o un texto "3/8"
+     */
+    static from(value) {
+        if (value instanceof Fraction) {
+            return value;
+        }
+
+        if (typeof value === 'string') {
+            const match = value.trim().match(/^(\d+)(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Fracción inválida: ${value}`);
+            }
+            return new Fraction(parseInt(match[1]), match[2] ? parseInt(match[2]) : 1);
+        }
+
+        return new Fraction(value, 1);
+    }
+
+    add(other) {
+        other = Fraction.from(other);
+        return new Fraction(
+            this.numerator * other.denominator + other.numerator * this.denominator,
+            this.denominator * other.denominator
+        );
+    }
+
+    sub(other) {
+        other = Fraction.from(other);
+        return this.add(new Fraction(-other.numerator, other.denominator));
+    }
+
+    mul(other) {
+        other = Fraction.from(other);
+        return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+    }
+
+    div(other) {
+        other = Fraction.from(other);
+        return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+    }
+
+    /**
+     * Compara con otra fracción: negativo si es menor, 0 si son iguales
+     */
+    compare(other) {
+        other = Fraction.from(other);
+        return this.numerator * other.denominator - other.numerator * this.denominator;
+    }
+
+    equals(other) {
+        return this.compare(other) === 0;
+    }
+
+    /**
+     * Permite usar la fracción en comparaciones numéricas (<, >, <=)
+     */
+    valueOf() {
+        return this.numerator / this.denominator;
+    }
+
+    toString() {
+        return this.denominator === 1 ?
+            `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+module.exports = Fraction;
@@ -0,0 +1,254 @@
+/**
+ * Expansión de símbolos de usuario (U:) y macros (m:)
+ *
+ * Un cancionero puede definir atajos propios: U:T=!trill! cambia lo que
+ * significa una letra y m: ~G3 = G{A}G{F}G sustituye un texto por otro.
+ * Esta clase reescribe las líneas de música con sus definiciones antes de
+ * que el parser las divida en tokens, así que el resto del parser solo ve
+ * notación ABC normal.
+ */
+
+class MacroExpander {
+    constructor() {
+        // Letras redefinibles con U: que ya tienen un significado propio
+        this.defaultSymbols = 'HLMOPSTuv~';
+
+        // Límite de seguridad ante macros que crecen sin fin
+        this.maxDepth = 10;
+
+        // Pasajes que no se expanden: textos, decoraciones y campos [X:]
+        this.protectedPattern = /"[^"]*"?|![^!\s]*!|\+[^+\s]*\+|\[[A-Za-z]:[^\]]*\]/y;
+
+        this.letters = 'CDEFGAB';
+    }
+
+    /**
+     * Expande las líneas de música de un tune
+     *
+     * Las definiciones U: y m: valen desde su línea, en la cabecera o en
+     * el cuerpo. En la música, cada macro se sustituye por su definición
+     * (que a su vez puede usar otras macros) y cada símbolo U: por su
+     * decoración; !nil! o !none! lo borran. Una macro que se usa a sí
+     * misma o una letra redefinible (H-W, h-w) sin definición se quitan
+     * con un aviso en diagnostics.
+     *
+     * En origins se anota, para cada línea expandida (por su índice en
+     * el tune), de qué tramo de la línea original sale cada carácter del
+     * resultado; el texto de una macro sale del tramo de la macro entera.
+     * @param {Array} lines - Líneas del tune
+     * @param {number} firstBodyLine - Índice de la primera línea del cuerpo
+     * @param {Diagnostics} diagnostics - Donde se anotan los avisos
+     * @param {Array} origins - Donde se anotan los tramos { start, end } (opcional)
+     * @returns {Array} - Líneas del cuerpo expandidas (mismo número)
+     */
+    expandLines(lines, firstBodyLine, diagnostics, origins = []) {
+        const definitions = { symbols: {}, macros: [] };
+
+        return lines.map((rawLine, index) => {
+            const position = { line: index + 1, column: 1 };
+            const line = rawLine.trim();
+            const field = line.match(/^([A-Za-z]):(.*)$/);
+
+            if (field && (field[1] === 'U' || field[1] === 'm')) {
+                this.define(definitions, field[1], field[2], diagnostics, position);
+                return rawLine;
+            }
+            if (index < firstBodyLine || field || line.startsWith('%') || line === '') {
+                return rawLine;
+            }
+            if (definitions.macros.length === 0 && !this.hasSymbols(rawLine)) {
+                return rawLine;
+            }
+
+            // El comentario se conserva tal cual
+            const commentStart = rawLine.indexOf('%');
+            const code = commentStart < 0 ? rawLine : rawLine.slice(0, commentStart);
+            const comment = commentStart < 0 ? '' : rawLine.slice(commentStart);
+            const lineOrigins = [];
+            const expanded = this.expandText(code, definitions, [], diagnostics, position, lineOrigins);
+            for (let i = code.length; i < rawLine.length; i++) {
+                lineOrigins.push({ start: i, end: i + 1 });
+            }
+            origins[index] = lineOrigins;
+            return expanded + comment;
+        }).slice(firstBodyLine);
+    }
+
+    /**
+     * Registra una definición U: (una letra) o m: (un texto)
+     *
+     * En una macro m: cuyo nombre lleva n, la n representa cualquier nota
+     * y en la definición las letras h a w son notas relativas a ella
+     * (o la siguiente, m la anterior...): m: ~n2 = (3o/n/m/ n.
+     */
+    define(definitions, field, value, diagnostics, position) {
+        const separator = value.indexOf('=');
+        const name = separator < 0 ? '' : value.slice(0, separator).trim();
+        const replacement = separator < 0 ? '' : value.slice(separator + 1).trim();
+
+        if (field === 'U') {
+            if (!/^[~H-Wh-w]$/.test(name)) {
+                diagnostics.warning('invalid-macro', `Definición U: inválida "${value.trim()}": se ignora`, position);
+                return;
+            }
+            definitions.symbols[name] = /^[!+](nil|none)[!+]$/.test(replacement) ? '' : replacement;
+            return;
+        }
+
+        if (!name) {
+            diagnostics.warning('invalid-macro', `Definición m: inválida "${value.trim()}": se ignora`, position);
+            return;
+        }
+
+        // Las macros más largas tienen prioridad; una nueva definición
+        // sustituye a la anterior con el mismo nombre
+        const macro = { name, replacement, transposing: name.includes('n') };
+        if (macro.transposing) {
+            const pattern = name.split('n').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                .join("([A-Ga-g][,']*)");
+            macro.pattern = new RegExp(pattern, 'y');
+        }
+        definitions.macros = definitions.macros.filter(existing => existing.name !== name);
+        definitions.macros.push(macro);
+        definitions.macros.sort((a, b) => b.name.length - a.name.length);
+    }
+
+    /**
+     * Indica si una línea puede tener letras redefinibles que expandir
+     */
+    hasSymbols(line) {
+        return /[~H-Wh-w]/.test(line.replace(/"[^"]*"?|![^!]*!|\+[^+]*\+|\[[A-Za-z]:[^\]]*\]|%.*$/g, ''));
+    }
+
+    /**
+     * Expande un texto de música
+     * @param {string} text - Texto sin comentario
+     * @param {Object} definitions - Símbolos y macros definidos
+     * @param {Array} chain - Macros que se están expandiendo (para las recursivas)
+     * @param {Diagnostics} diagnostics - Donde se anotan los avisos
+     * @param {Object} position - Línea del texto y columna de la macro exterior
+     * @param {Array} origins - Donde se anota el tramo de text del que sale
+     *                          cada carácter del resultado (opcional)
+     * @returns {string} - Texto expandido
+     */
+    expandText(text, definitions, chain, diagnostics, position, origins = []) {
+        let output = '';
+        let index = 0;
+
+        while (index < text.length) {
+            const at = chain.length === 0 ? { line: position.line, column: index + 1 } : position;
+
+            this.protectedPattern.lastIndex = index;
+            const protectedMatch = this.protectedPattern.exec(text);
+            if (protectedMatch) {
+                output += protectedMatch[0];
+                for (let i = 0; i < protectedMatch[0].length; i++) {
+                    origins.push({ start: index + i, end: index + i + 1 });
+                }
+                index += protectedMatch[0].length;
+                continue;
+            }
+
+            const use = this.findMacro(text, index, definitions);
+            const char = text[index];
+            let name = null;
+            let replacement = null;
+            let length = 1;
+
+            if (use) {
+                name = `m:${use.macro.name}`;
+                replacement = use.replacement;
+                length = use.length;
+            } else if (char in definitions.symbols) {
+                name = `U:${char}`;
+                replacement = definitions.symbols[char];
+            } else if (/[H-Wh-w]/.test(char) && !this.defaultSymbols.includes(char)) {
+                diagnostics.warning('unknown-macro', `Símbolo "${char}" sin definir (U:): se ignora`, at);
+                index++;
+                continue;
+            } else {
+                output += char;
+                origins.push({ start: index, end: index + 1 });
+                index++;
+                continue;
+            }
+
+            if (chain.includes(name) || chain.length >= this.maxDepth) {
+                diagnostics.warning('recursive-macro',
+                    `La macro ${name} se usa dentro de su propia definición: se ignora`, at);
+            } else {
+                const expansion = this.expandText(replacement, definitions, [...chain, name], diagnostics, at);
+                output += expansion;
+                for (let i = 0; i < expansion.length; i++) {
+                    origins.push({ start: index, end: index + length });
+                }
+            }
+            index += length;
+        }
+
+        return output;
+    }
+
+    /**
+     * Busca una macro m: que empiece en la posición indicada
+     * @returns {Object|null} - { macro, replacement, length }
+     */
+    findMacro(text, index, definitions) {
+        for (const macro of definitions.macros) {
+            if (!macro.transposing) {
+                if (text.startsWith(macro.name, index)) {
+                    return { macro, replacement: macro.replacement, length: macro.name.length };
+                }
+                continue;
+            }
+
+            macro.pattern.lastIndex = index;
+            const match = macro.pattern.exec(text);
+            if (match) {
+                return { macro, replacement: this.transposeMacro(macro.replacement, match[1]), length: match[0].length };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Sustituye las letras h-w de una macro por las notas relativas a la
+     * nota n (o = un grado arriba, m = un grado abajo...), fuera de
+     * textos y decoraciones
+     */
+    transposeMacro(replacement, note) {
+        const letter = this.letters.indexOf(note[0].toUpperCase());
+        const octave = (note[0] === note[0].toUpperCase() ? 4 : 5) +
+            (note.split("'").length - 1) - (note.split(',').length - 1);
+        const base = octave * 7 + letter;
+        let output = '';
+        let index = 0;
+
+        while (index < replacement.length) {
+            this.protectedPattern.lastIndex = index;
+            const protectedMatch = this.protectedPattern.exec(replacement);
+            if (protectedMatch) {
+                output += protectedMatch[0];
+                index += protectedMatch[0].length;
+                continue;
+            }
+
+            const char = replacement[index];
+            if (/[h-w]/.test(char)) {
+                const step = base + char.charCodeAt(0) - 'n'.charCodeAt(0);
+                const stepOctave = Math.floor(step / 7);
+                const name = this.letters[((step % 7) + 7) % 7];
+                output += stepOctave >= 5 ?
+                    name.toLowerCase() + "'".repeat(stepOctave - 5) :
+                    name + ','.repeat(4 - stepOctave);
+            } else {
+                output += char;
+            }
+            index++;
+        }
+
+        return output;
+    }
+}
+
+module.exports = MacroExpander;
@@ -7,19 +7,69 @@
  */
 
 const MidiWriter = require('midi-writer-js');
+const Fraction = require('./fraction');
+const RepeatExpander = require('./repeatExpander');
 
 class MidiGenerator {
-    constructor() {
-        // Mapeo de duraciones ABC a ticks MIDI
-        this.durationToTicks = {
-            0.25: 'T32',  // semicorchea
-            0.5: 'T16',   // corchea
-            1: 'T8',      // negra
-            2: 'T4',      // blanca
-            4: 'T2',      // redonda
-            8: 'T1'       // redonda doble
+    constructor(options = {}) {
+        // Resolución por defecto: ticks por negra (PPQ)
+        this.ppq = options.ppq || 480;
+        
+        // Duración de cada nota de adorno (acciaccatura), en redondas
+        this.graceLength = new Fraction(1, 32);
+        
+        // Velocidad MIDI por defecto (0-127)
+        this.defaultVelocity = 100;
+        
+        // Fracción de la duración escrita que suena cada nota: las notas
+        // normales quedan ligeramente destacadas
+        this.gate = options.gate || 0.9;
+        
+        // Solapamiento de las notas en legato 'overlap', en redondas
+        this.legatoOverlap = new Fraction(1, 64);
+        
+        // Velocidad MIDI de cada dinámica
+        this.dynamics = {
+            'pppp': 15, 'ppp': 30, 'pp': 45, 'p': 60, 'mp': 75,
+            'mf': 90, 'f': 105, 'ff': 120, 'fff': 127, 'ffff': 127
         };
         
+        // Articulaciones: refuerzo del acento, cambio de un regulador sin
+        // dinámica final, fracción que suena en staccato y alargamiento
+        // del calderón
+        this.accentBoost = 20;
+        this.hairpinStep = 25;
+        this.staccatoGate = 0.5;
+        this.fermataFactor = 2;
+        
+        // Duración aproximada de cada nota de un adorno, en segundos, y
+        // valores posibles (en redondas) entre los que se elige según el tempo
+        this.ornamentSeconds = 1 / 12;
+        this.ornamentLengths = [
+            new Fraction(1, 16), new Fraction(1, 24), new Fraction(1, 32),
+            new Fraction(1, 48), new Fraction(1, 64)
+        ];
+        
+        // Canal del bordón (%%MIDI drone) y sus valores por defecto, como
+        // en abc2midi: programa, dos notas y sus velocidades
+        this.droneChannel = 15;
+        this.defaultDrone = [70, 45, 33, 80, 80];
+        
+        // Acompañamiento de los símbolos de acorde: patrón de cada compás
+        // al estilo de los gchord de abc2midi (f bajo, c acorde, z silencio)
+        // y configuración de las pistas de bajo y de acordes
+        this.gchordPatterns = {
+            '2/4': 'fzcz', '3/4': 'fzczcz', '4/4': 'fzczfzcz', '2/2': 'fzczfzcz',
+            '3/8': 'fzc', '6/8': 'fzcfzc', '9/8': 'fzcfzcfzc', '12/8': 'fzcfzcfzcfzc'
+        };
+        this.accompaniment = {
+            bass: { instrument: 'bass', octave: 2, velocity: 80, channel: 14 },
+            chord: { instrument: 'guitar', octave: 3, velocity: 70, channel: 13 }
+        };
+        
+        // Despliegue de repeticiones antes de construir la línea de tiempo
+        this.repeatExpander = new RepeatExpander();
+        
         // Canales MIDI por instrumento
         this.instruments = {
             'piano': 0,
@@ -32,96 +82,1013 @@ class MidiGenerator {
 
     /**
      * Genera un archivo MIDI desde la estructura musical parseada
+     *
+     * Cada voz (V:) va en su propia pista y su propio canal; una pieza de
+     * una sola voz produce un archivo de una pista.
      * @param {Object} parsedMusic - Estructura musical del parser
+     * @param {Object} options - Opciones de generación ({ ppq })
      * @returns {Buffer} - Archivo MIDI como buffer
      */
-    generate(parsedMusic) {
-        const { header, body } = parsedMusic;
+    generate(parsedMusic, options = {}) {
+        const tracks = this.buildVoiceTracks(parsedMusic, null, options);
         
-        // Crear track principal
-        const track = new MidiWriter.Track();
+        // Crear el archivo MIDI
+        return this.buildFile(tracks, options.ppq || this.ppq);
+    }
+
+    /**
+     * Construye una pista por voz, todas alineadas desde el tick 0
+     *
+     * La primera pista lleva el tempo y sus cambios (los de cualquier voz).
+     * Cada pista empieza con la armadura y el compás de la cabecera. Cada
+     * voz usa su canal, el instrumento de la misma posición en la lista
+     * (o el último) y el transpose= de su definición, sumado a
+     * options.transpose; la armadura se escribe en la tonalidad resultante.
+     *
+     * Las directivas %%MIDI de la cabecera valen para todas las voces y
+     * las de cada voz las completan: program y channel eligen instrumento
+     * y canal (la lista de instrumentos, si se indica, tiene prioridad).
+     *
+     * Los símbolos de acorde de la primera voz que los tenga añaden las
+     * pistas de bajo y de acordes del acompañamiento (salvo con
+     * accompaniment: false).
+     *
+     * Con karaoke: true la letra no se escribe como eventos lyric sino en
+     * una pista de texto "Words" al estilo de los archivos .kar.
+     * @param {Object} parsedMusic - Estructura musical del parser
+     * @param {Array|null} instruments - Nombres de instrumento por voz
+     * @param {Object} options - Opciones de la línea de tiempo, del
+     *   acompañamiento ({ accompaniment: { bass, chord } }) y karaoke
+     * @returns {Array} - Pistas de midi-writer-js
+     */
+    buildVoiceTracks(parsedMusic, instruments = null, options = {}) {
+        const { header } = parsedMusic;
+        const voices = parsedMusic.voices || [{ id: '1', body: parsedMusic.body }];
+        const settings = voices.map(voice => ({ ...header.midi, ...voice.midi }));
+        const channels = voices.map((voice, index) => settings[index].channel !== undefined ?
+            settings[index].channel : this.voiceChannel(voice, index));
+        const timelines = voices.map((voice, index) => this.buildTimeline(voice.body, header, {
+            ...options,
+            channel: channels[index],
+            voiceTranspose: voice.transpose || 0,
+            midi: settings[index]
+        }));
+        
+        // Los cambios de tempo de todas las voces van a la primera pista,
+        // con su texto (Q:"Allegro") como marcador
+        const tempoChanges = {};
+        timelines.forEach(timeline => timeline.events
+            .filter(event => event.type === 'tempo')
+            .forEach(event => { tempoChanges[event.tick] = event; }));
+        // Los marcadores de parte también, solo una vez
+        timelines.forEach((timeline, index) => {
+            timeline.events = timeline.events.filter(event =>
+                event.type !== 'tempo' && (index === 0 || event.type !== 'marker'));
+            if (index === 0) {
+                Object.values(tempoChanges).forEach(change => {
+                    timeline.events.push(change);
+                    if (change.text) timeline.events.push({ type: 'marker', tick: change.tick, text: change.text });
+                });
+                timeline.events.sort((a, b) => a.tick - b.tick);
+            }
+        });
         
-        // Configurar tempo
-        track.setTempo(header.tempo || 120);
+        // En karaoke la letra de la primera voz que la tenga va a la pista Words
+        let lyrics = [];
+        if (options.karaoke) {
+            const lyricsTimeline = timelines.find(timeline => timeline.events.some(event => event.type === 'lyric'));
+            if (lyricsTimeline) lyrics = lyricsTimeline.events.filter(event => event.type === 'lyric');
+            timelines.forEach(timeline => {
+                timeline.events = timeline.events.filter(event => event.type !== 'lyric');
+            });
+        }
         
-        // Configurar instrumento (piano por defecto)
-        track.addEvent(new MidiWriter.ProgramChangeEvent({
-            instrument: this.instruments.piano
+        const tracks = voices.map((voice, index) => {
+            const track = new MidiWriter.Track();
+            let program = settings[index].program !== undefined ? settings[index].program : this.instruments.piano;
+            if (instruments && instruments.length > 0) {
+                program = this.instruments[instruments[Math.min(index, instruments.length - 1)]] || 0;
+            }
+            
+            if (index === 0) {
+                // Configurar tempo
+                track.setTempo(header.tempo || 120);
+                if (header.tempoText) {
+                    track.addEvent(new MidiWriter.MarkerEvent({ text: header.tempoText }));
+                }
+                if (options.karaoke) {
+                    track.addEvent(new MidiWriter.TextEvent({ text: '@KMIDI KARAOKE FILE' }));
+                }
+            }
+            
+            if (voice.name) {
+                track.addEvent(new MidiWriter.TrackNameEvent({ text: voice.name }));
+            }
+            
+            // Armadura y compás iniciales
+            if (header.keySignature) {
+                const transpose = (options.transpose || 0) + (voice.transpose || 0) + (settings[index].transpose || 0);
+                track.addEvent(this.metaEvent({ type: 'key', keySignature: header.keySignature, transpose }, 0, 0));
+            }
+            if (header.timeSignature) {
+                track.addEvent(this.metaEvent({ type: 'meter', timeSignature: header.timeSignature }, 0, 0));
+            }
+            
+            // Configurar instrumento (piano por defecto)
+            track.addEvent(new MidiWriter.ProgramChangeEvent({
+                instrument: program,
+                channel: channels[index] + 1
+            }));
+            
+            // Convertir notas a eventos MIDI
+            this.timelineToEvents(timelines[index]).forEach(event => {
+                track.addEvent(event);
+            });
+            
+            return track;
+        });
+        
+        if (options.karaoke) {
+            const track = new MidiWriter.Track();
+            track.addEvent(new MidiWriter.TrackNameEvent({ text: 'Words' }));
+            this.timelineToEvents({
+                events: this.karaokeText(lyrics, header),
+                endTick: 0
+            }).forEach(event => {
+                track.addEvent(event);
+            });
+            tracks.splice(1, 0, track);
+        }
+        
+        const harmonyIndex = timelines.findIndex(timeline => timeline.harmony.length > 0);
+        if (harmonyIndex >= 0 && options.accompaniment !== false) {
+            const accompaniment = this.buildAccompaniment(timelines[harmonyIndex],
+                settings[harmonyIndex], options.accompaniment);
+            accompaniment.forEach(part => {
+                const track = new MidiWriter.Track();
+                track.addEvent(new MidiWriter.TrackNameEvent({ text: part.name }));
+                track.addEvent(new MidiWriter.ProgramChangeEvent({
+                    instrument: part.program,
+                    channel: part.channel + 1
+                }));
+                this.timelineToEvents(part.timeline).forEach(event => {
+                    track.addEvent(event);
+                });
+                tracks.push(track);
+            });
+        }
+        
+        return tracks;
+    }
+
+    /**
+     * Reproducción de cada voz sin generar el MIDI
+     *
+     * Construye la línea de tiempo de cada voz como generate (con su
+     * transposición y sus directivas %%MIDI) y el mapa de tempo común.
+     * @param {Object} parsedMusic - Estructura musical del parser
+     * @param {Object} options - Opciones de la línea de tiempo
+     * @returns {Object} - { ppq, endTick, seconds, tempos, voices }, con
+     *   { id, played, endTick } en cada voz
+     */
+    buildPlayback(parsedMusic, options = {}) {
+        const { header } = parsedMusic;
+        const ppq = options.ppq || this.ppq;
+        const voices = parsedMusic.voices || [{ id: '1', body: parsedMusic.body }];
+        const timelines = voices.map(voice => this.buildTimeline(voice.body, header, {
+            ...options,
+            voiceTranspose: voice.transpose || 0,
+            midi: { ...header.midi, ...voice.midi }
         }));
+        const tempos = this.tempoMap(header, timelines, ppq);
+        const endTick = Math.max(0, ...timelines.map(timeline => timeline.endTick));
+        
+        return {
+            ppq,
+            endTick,
+            seconds: this.ticksToSeconds(endTick, tempos, ppq),
+            tempos,
+            voices: voices.map((voice, index) => ({
+                id: voice.id,
+                played: timelines[index].played,
+                endTick: timelines[index].endTick
+            }))
+        };
+    }
+
+    /**
+     * Canal MIDI (0-15) de una voz: uno por voz en orden, sin usar el 9,
+     * reservado a la percusión salvo para las voces con clef=perc
+     */
+    voiceChannel(voice, index) {
+        if (voice.clef && voice.clef.startsWith('perc')) {
+            return 9;
+        }
+        const channel = index % 15;
+        return channel < 9 ? channel : channel + 1;
+    }
+
+    /**
+     * Construye la línea de tiempo absoluta de la música
+     *
+     * Despliega partes y repeticiones y coloca cada evento en su tick; en
+     * played quedan las notas, acordes y barras en el orden en que suenan.
+     * @param {Array} elements - Cuerpo parseado (notas, silencios, acordes)
+     * @param {Object} header - Cabecera parseada
+     * @param {Object} options - Opciones ({ ppq, gate, legato, expandRepeats,
+     *   parts, channel, transpose, voiceTranspose, ornaments, midi,
+     *   diagnostics })
+     * @returns {Object} - { ppq, events, endTick, harmony, bars, played }
+     */
+    buildTimeline(elements, header = {}, options = {}) {
+        const ppq = options.ppq || this.ppq;
+        const gate = options.gate || this.gate;
+        const legato = options.legato || false;
+        const ornaments = options.ornaments !== false;
+        const midi = { ...options.midi };
+        let voiceTranspose = options.voiceTranspose || 0;
+        let midiTranspose = midi.transpose || 0;
+        const transposition = () => (options.transpose || 0) + voiceTranspose + midiTranspose;
+        let keySignature = header.keySignature;
+        let tempo = header.tempo || 120;
+        let timeSignature = header.timeSignature;
+        let barStart = new Fraction(0);
+        let droneStart = midi.droneOn ? new Fraction(0) : null;
+        const events = [];
+        const harmony = [];
+        const bars = [];
+        const played = [];
+        const plays = new Map();
+        
+        // La posición se acumula como fracción exacta y solo se redondea
+        // al convertir cada instante a ticks
+        const toTick = (time) => Math.round(this.durationToTicks(time, ppq));
+        let currentTime = new Fraction(0);
+        
+        // Notas ligadas desde el ataque anterior, por canal y altura
+        let tiesFrom = {};
+        let tiesTo = {};
+        
+        const soundingEnd = (note, start, duration, noteGate) => {
+            const end = start.add(duration);
+            if (note.tie || (note.slurred && legato === 'full')) {
+                return toTick(end);
+            }
+            if (note.slurred && legato === 'overlap') {
+                return toTick(end.add(this.legatoOverlap));
+            }
+            return toTick(start) + Math.round(this.durationToTicks(duration, ppq) * noteGate);
+        };
         
-        // Convertir notas a eventos MIDI
-        const midiEvents = this.convertNotesToEvents(body, header);
+        const addNote = (note, start, duration, articulation) => {
+            const channel = note.channel || options.channel || 0;
+            const midiNote = this.fitNoteRange(note.midiNote + transposition());
+            const key = `${channel}:${midiNote}`;
+            const end = soundingEnd(note, start, duration, articulation.gate);
+            let event = tiesFrom[key];
+            
+            if (event) {
+                // Continuación de una ligadura: alargar la nota anterior
+                event.duration = end - event.tick;
+            } else {
+                const tick = toTick(start);
+                event = {
+                    type: 'note',
+                    tick,
+                    duration: end - tick,
+                    midiNote,
+                    velocity: articulation.velocity,
+                    channel
+                };
+                events.push(event);
+            }
+            
+            if (note.tie) tiesTo[key] = event;
+        };
+        
+        const sections = this.repeatExpander.splitParts(elements, options.parts !== false ? header.parts : null);
+        elements = sections.flatMap(section =>
+            options.expandRepeats !== false ? this.repeatExpander.expand(section, options.diagnostics) : section);
+        const velocities = this.planDynamics(elements, midi.beat ? midi.beat.other : this.defaultVelocity);
+        
+        // Un compás empieza en cada barra; el compás y el patrón gchord que
+        // cambian en el mismo instante se aplican a ese compás
+        const markBar = (newBar) => {
+            const bar = {
+                tick: toTick(currentTime),
+                timeSignature,
+                gchord: midi.gchord,
+                on: midi.gchordOn !== false
+            };
+            const last = bars[bars.length - 1];
+            if (last && last.tick === bar.tick) {
+                bars[bars.length - 1] = bar;
+            } else if (newBar) {
+                bars.push(bar);
+            }
+        };
+        markBar(true);
         
-        // Añadir eventos al track
-        midiEvents.forEach(event => {
-            track.addEvent(event);
+        // El bordón suena desde droneon hasta droneoff o el final
+        const closeDrone = () => {
+            if (droneStart === null) return;
+            const [program, pitch1, pitch2, velocity1, velocity2] = this.defaultDrone
+                .map((value, i) => midi.drone && midi.drone[i] !== undefined ? midi.drone[i] : value);
+            const tick = toTick(droneStart);
+            const duration = toTick(currentTime) - tick;
+            events.push({ type: 'program', tick, program, channel: this.droneChannel });
+            if (duration > 0) {
+                [[pitch1, velocity1], [pitch2, velocity2]].forEach(([midiNote, velocity]) => {
+                    events.push({ type: 'note', tick, duration, midiNote, velocity, channel: this.droneChannel });
+                });
+            }
+            droneStart = null;
+        };
+        
+        // La armadura vuelve a escribirse cuando cambia la transposición
+        const changeTransposition = (change) => {
+            const before = transposition();
+            change();
+            if (keySignature && transposition() !== before) {
+                events.push({ type: 'key', tick: toTick(currentTime), keySignature, transpose: transposition() });
+            }
+        };
+        
+        elements.forEach((element, index) => {
+            const type = element.type || 'note';
+            const length = element.duration ? this.elementLength(element) : null;
+            
+            // Una ligadura solo enlaza con el ataque inmediatamente siguiente
+            if (['note', 'chord', 'rest'].includes(type)) {
+                tiesFrom = tiesTo;
+                tiesTo = {};
+            }
+            
+            if (type === 'key' || type === 'meter' || type === 'tempo') {
+                if (type === 'tempo' && element.tempo) tempo = element.tempo;
+                if (type === 'meter') timeSignature = element.timeSignature;
+                const event = { ...element, tick: toTick(currentTime) };
+                if (type === 'key') {
+                    keySignature = element.keySignature;
+                    event.transpose = transposition();
+                }
+                events.push(event);
+                markBar(false);
+            } else if (type === 'transpose') {
+                changeTransposition(() => { voiceTranspose = element.transpose; });
+            } else if (type === 'bar') {
+                barStart = currentTime;
+                markBar(true);
+                played.push({ element, tick: toTick(currentTime), duration: 0 });
+            } else if (type === 'part') {
+                events.push({ type: 'marker', tick: toTick(currentTime), text: element.label });
+            } else if (type === 'chordSymbol') {
+                harmony.push({ ...element, tick: toTick(currentTime), transpose: transposition() });
+            } else if (type === 'midi') {
+                const settings = element.settings;
+                Object.assign(midi, settings);
+                markBar(false);
+                if (settings.transpose !== undefined) {
+                    changeTransposition(() => { midiTranspose = settings.transpose; });
+                }
+                if (settings.program !== undefined) {
+                    events.push({
+                        type: 'program',
+                        tick: toTick(currentTime),
+                        program: settings.program,
+                        channel: options.channel || 0
+                    });
+                }
+                if (settings.droneOn === true && droneStart === null) {
+                    droneStart = currentTime;
+                } else if (settings.droneOn === false) {
+                    closeDrone();
+                }
+            } else if (type === 'rest') {
+                currentTime = currentTime.add(length);
+            } else if (type === 'note' || type === 'chord') {
+                // Todas las notas del acorde empiezan en el mismo tick
+                const notes = type === 'chord' ? element.notes : [element];
+                const chordDecorations = type === 'chord' ? element.decorations || [] : [];
+                const velocity = this.clampVelocity(velocities[index] +
+                    this.beatAccent(midi.beat, currentTime.sub(barStart), timeSignature));
+                let start = currentTime;
+                played.push({
+                    element,
+                    tick: toTick(currentTime),
+                    duration: toTick(currentTime.add(length)) - toTick(currentTime),
+                    midiNotes: notes.map(note => this.fitNoteRange(note.midiNote + transposition()))
+                });
+                
+                // Las notas de adorno roban su tiempo a la nota principal
+                const graceNotes = ornaments ? element.graceNotes || [] : [];
+                if (graceNotes.length > 0) {
+                    const graceArticulation = this.articulation(element.decorations, velocity, gate);
+                    let graceLength = this.graceLength;
+                    const total = graceLength.mul(graceNotes.length);
+                    if (total.compare(length.div(2)) > 0) {
+                        graceLength = length.div(2 * graceNotes.length);
+                    }
+                    graceNotes.forEach(grace => {
+                        addNote(grace, start, graceLength, graceArticulation);
+                        start = start.add(graceLength);
+                    });
+                }
+                const stolen = start.sub(currentTime);
+                
+                // Las repeticiones vuelven a tocar el mismo elemento
+                if (element.lyrics) {
+                    const pass = plays.get(element) || 0;
+                    plays.set(element, pass + 1);
+                    const lyric = element.lyrics.length > pass ? element.lyrics[pass] : element.lyrics[0];
+                    if (lyric) events.push({ type: 'lyric', tick: toTick(start), ...lyric });
+                }
+                
+                notes.forEach(note => {
+                    const decorations = [...chordDecorations, ...(note.decorations || [])];
+                    const articulation = this.articulation(decorations, velocity, gate);
+                    const duration = note.duration.mul(length.div(element.duration)).sub(stolen);
+                    if (duration <= 0) return;
+                    
+                    // Los adornos se tocan como notas; la última es la principal
+                    const segments = ornaments && note.ornament ?
+                        this.ornamentSegments(note, duration, tempo) : null;
+                    if (!segments) {
+                        addNote(note, start, duration, articulation);
+                        return;
+                    }
+                    let segmentStart = start;
+                    segments.forEach((segment, i) => {
+                        const last = i === segments.length - 1;
+                        addNote(last ? { ...note, midiNote: segment.midiNote } : segment, segmentStart,
+                            segment.duration, last ? articulation : { ...articulation, gate: 1 });
+                        segmentStart = segmentStart.add(segment.duration);
+                    });
+                });
+                currentTime = currentTime.add(length);
+            }
         });
         
-        // Crear el archivo MIDI
-        const writer = new MidiWriter.Writer(track);
-        return Buffer.from(writer.buildFile(), 'binary');
+        closeDrone();
+        events.sort((a, b) => a.tick - b.tick);
+        
+        return {
+            ppq,
+            events,
+            endTick: toTick(currentTime),
+            harmony,
+            bars,
+            played
+        };
     }
 
     /**
-     * Convierte las notas parseadas en eventos MIDI
+     * Texto de la pista Words de un archivo .kar
+     *
+     * Empieza con el idioma y el título (@L, @T) y sigue con una sílaba
+     * por evento: / marca el inicio de cada línea w:, \ el de la letra y
+     * un espacio el de cada palabra.
+     * @param {Array} lyrics - Eventos 'lyric' de la línea de tiempo
+     * @param {Object} header - Cabecera parseada
+     * @returns {Array} - Eventos 'text' de la línea de tiempo
      */
-    convertNotesToEvents(notes, header) {
-        const events = [];
-        let currentTime = 0;
-        
-        notes.forEach(note => {
-            // Crear evento de nota
-            const noteEvent = new MidiWriter.NoteEvent({
-                pitch: this.midiNoteToPitch(note.midiNote),
-                duration: this.durationToTicks[note.duration] || 'T8',
-                velocity: 100,
-                channel: 0
+    karaokeText(lyrics, header = {}) {
+        const events = [{ type: 'text', tick: 0, text: '@LENGL' }];
+        [header.title, header.composer].filter(Boolean).forEach(text => {
+            events.push({ type: 'text', tick: 0, text: `@T${text.trim()}` });
+        });
+        
+        let previous = null;
+        lyrics.forEach(lyric => {
+            let prefix = ' ';
+            if (!previous) prefix = '\\';
+            else if (lyric.lineStart) prefix = '/';
+            else if (previous.hyphen) prefix = '';
+            events.push({ type: 'text', tick: lyric.tick, text: prefix + lyric.text });
+            previous = lyric;
+        });
+        
+        return events;
+    }
+
+    /**
+     * Construye el acompañamiento de los símbolos de acorde
+     *
+     * Cada compás se reparte entre los caracteres de su patrón gchord
+     * (el de %%MIDI gchord o el del compás): f toca la fundamental (o el
+     * bajo de "C/G") en la pista de bajo, c el acorde, b ambos, g h i j
+     * una nota del acorde (G H I J una octava más grave) y z calla. Un
+     * número tras el carácter multiplica su duración. Cada parte suena
+     * con el acorde vigente en su inicio; la anacrusa se alinea con el
+     * final del compás.
+     * @param {Object} timeline - Línea de tiempo de la voz con los acordes
+     * @param {Object} settings - Ajustes %%MIDI de la voz (chordProgram,
+     *   bassProgram, chordVelocity, bassVelocity)
+     * @param {Object} options - { bass, chord } con instrument, octave,
+     *   velocity y channel de cada pista
+     * @returns {Array} - Pistas { name, program, channel, timeline } con notas
+     */
+    buildAccompaniment(timeline, settings = {}, options = {}) {
+        const parts = ['bass', 'chord'].map(part => {
+            const config = { ...this.accompaniment[part] };
+            if (settings[`${part}Program`] !== undefined) config.instrument = settings[`${part}Program`];
+            if (settings[`${part}Velocity`] !== undefined) config.velocity = settings[`${part}Velocity`];
+            Object.assign(config, options[part]);
+            return {
+                ...config,
+                name: part === 'bass' ? 'Bajo' : 'Acordes',
+                program: typeof config.instrument === 'number' ?
+                    config.instrument : this.instruments[config.instrument] || 0,
+                events: []
+            };
+        });
+        const [bass, chord] = parts;
+        const { ppq, harmony, bars, endTick } = timeline;
+        
+        const chordAt = (tick) => {
+            let current = null;
+            harmony.forEach(symbol => {
+                if (symbol.tick <= tick) current = symbol;
+            });
+            return current;
+        };
+        
+        const play = (part, midiNotes, tick, duration) => {
+            midiNotes.filter(midiNote => midiNote !== undefined).forEach(midiNote => {
+                part.events.push({
+                    type: 'note',
+                    tick,
+                    duration,
+                    midiNote,
+                    velocity: part.velocity,
+                    channel: part.channel
+                });
             });
+        };
+        
+        bars.forEach((bar, index) => {
+            const end = index + 1 < bars.length ? bars[index + 1].tick : endTick;
+            if (!bar.on || !bar.timeSignature || end <= bar.tick) return;
             
-            events.push(noteEvent);
+            const { numerator, denominator } = bar.timeSignature;
+            const barTicks = this.durationToTicks(new Fraction(numerator, denominator), ppq);
+            const pattern = (bar.gchord || this.gchordPatterns[`${numerator}/${denominator}`] ||
+                'f' + 'c'.repeat(Math.max(0, numerator - 1))).match(/[a-zA-Z]\d*/g) || [];
+            const units = pattern.reduce((sum, slot) => sum + (parseInt(slot.slice(1)) || 1), 0);
             
-            // Actualizar tiempo
-            currentTime += this.durationToTicks[note.duration] || 'T8';
+            // La anacrusa (primer compás incompleto) suena al final del patrón
+            let position = index === 0 && end - bar.tick < barTicks ? bar.tick - (barTicks - (end - bar.tick)) : bar.tick;
+            pattern.forEach(slot => {
+                const length = barTicks * (parseInt(slot.slice(1)) || 1) / units;
+                const tick = Math.round(position);
+                position += length;
+                const symbol = chordAt(tick);
+                if (tick < bar.tick || tick >= end || !symbol) return;
+                
+                const duration = Math.round(Math.min(length, end - tick) * this.gate);
+                // La transposición mueve la fundamental sin cambiar de octava
+                const shift = (pitch) => (pitch + (symbol.transpose || 0) % 12 + 12) % 12;
+                const chordNotes = symbol.intervals.map(interval =>
+                    12 * (chord.octave + 1) + shift(symbol.root) + interval);
+                const bassNote = 12 * (bass.octave + 1) + shift(symbol.bass !== null ? symbol.bass : symbol.root);
+                const letter = slot[0];
+                const noteIndex = 'ghij'.indexOf(letter.toLowerCase());
+                
+                if (letter === 'f' || letter === 'b') play(bass, [bassNote], tick, duration);
+                if (letter === 'c' || letter === 'b') play(chord, chordNotes, tick, duration);
+                if (noteIndex >= 0) {
+                    const octaveShift = letter === letter.toUpperCase() ? -12 : 0;
+                    play(chord, [chordNotes[noteIndex] + octaveShift], tick, duration);
+                }
+            });
         });
         
-        return events;
+        return parts.filter(part => part.events.length > 0).map(part => ({
+            name: part.name,
+            program: part.program,
+            channel: part.channel,
+            timeline: { ppq, events: part.events, endTick }
+        }));
     }
 
     /**
-     * Convierte nota MIDI a formato de pitch para MidiWriter
+     * Duración de cada nota de un adorno: el valor más largo que no supera
+     * ornamentSeconds al tempo actual (negras por minuto)
      */
-    midiNoteToPitch(midiNote) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const octave = Math.floor(midiNote / 12) - 1;
-        const noteIndex = midiNote % 12;
-        return noteNames[noteIndex] + octave;
+    ornamentLength(tempo) {
+        const wholeNoteSeconds = 240 / tempo;
+        return this.ornamentLengths.find(length => length * wholeNoteSeconds <= this.ornamentSeconds) ||
+            this.ornamentLengths[this.ornamentLengths.length - 1];
     }
 
     /**
-     * Genera MIDI con múltiples pistas (para diferentes instrumentos)
+     * Despliega el adorno de una nota en notas reales
+     *
+     * - Mordentes: principal, vecina y principal
+     * - Grupeto: superior, principal, inferior y principal
+     * - Trino: alterna principal y superior, terminando en la principal
+     * - Roll: principal, corte superior, principal, golpe inferior y principal
+     * @param {Object} note - Nota con ornament { type, upper, lower }
+     * @param {Fraction} duration - Duración disponible
+     * @param {number} tempo - Tempo actual
+     * @returns {Array|null} - Segmentos { midiNote, duration } o null si
+     *   la nota es demasiado corta para el adorno
      */
-    generateMultiTrack(parsedMusic, instruments = ['piano']) {
-        const tracks = [];
+    ornamentSegments(note, duration, tempo) {
+        const main = note.midiNote;
+        const { type, upper, lower } = note.ornament;
+        const short = this.ornamentLength(tempo);
+        let pitches;
         
-        instruments.forEach((instrument, index) => {
-            const track = new MidiWriter.Track();
+        if (type === 'roll') {
+            const third = duration.div(3);
+            const segments = [
+                { midiNote: main, duration: third },
+                { midiNote: upper, duration: short },
+                { midiNote: main, duration: third.sub(short) },
+                { midiNote: lower, duration: short },
+                { midiNote: main, duration: duration.sub(third.mul(2)).sub(short) }
+            ];
+            return segments.every(segment => segment.duration > 0) ? segments : null;
+        }
+        
+        if (type === 'trill') {
+            // Número impar de notas para terminar en la principal
+            let count = Math.floor(duration.div(short));
+            if (count % 2 === 0) count--;
+            pitches = Array.from({ length: count - 1 }, (_, i) => i % 2 === 0 ? main : upper);
+        } else {
+            pitches = {
+                lowermordent: [main, lower],
+                uppermordent: [main, upper],
+                turn: [upper, main, lower]
+            }[type];
+        }
+        
+        const rest = duration.sub(short.mul(pitches.length));
+        if (pitches.length === 0 || rest <= 0) {
+            return null;
+        }
+        
+        return [
+            ...pitches.map(midiNote => ({ midiNote, duration: short })),
+            { midiNote: main, duration: rest }
+        ];
+    }
+
+    /**
+     * Duración de una nota, acorde o silencio en la línea de tiempo: la
+     * escrita, alargada si lleva calderón
+     */
+    elementLength(element) {
+        const decorations = element.decorations || [];
+        return decorations.includes('fermata') ?
+            element.duration.mul(this.fermataFactor) : element.duration;
+    }
+
+    /**
+     * Calcula la velocidad base de cada elemento según las dinámicas
+     *
+     * Una dinámica (!p!, !mf!, !ff!...) fija el nivel desde su nota. Un
+     * regulador (!crescendo(! ... !crescendo)!, !diminuendo(! ...) cambia
+     * la velocidad de forma gradual en el tiempo hasta la dinámica de la
+     * nota donde termina o, si no tiene, hasta un escalón más fuerte o
+     * más suave.
+     * @param {Array} elements - Elementos en orden de ejecución
+     * @param {number} initialLevel - Velocidad antes de la primera dinámica
+     * @returns {Array} - Velocidad (0-127) por elemento
+     */
+    planDynamics(elements, initialLevel = this.defaultVelocity) {
+        // Instante de inicio de cada elemento y final de la pieza
+        const onsets = [];
+        let time = new Fraction(0);
+        elements.forEach(element => {
+            onsets.push(time);
+            if (element.duration) time = time.add(this.elementLength(element));
+        });
+        onsets.push(time);
+        
+        const dynamicOf = (element) => (element.decorations || []).find(d => d in this.dynamics);
+        const velocities = [];
+        let level = initialLevel;
+        let hairpin = null;
+        
+        elements.forEach((element, index) => {
+            const decorations = element.decorations || [];
             
-            // Configurar instrumento
-            track.addEvent(new MidiWriter.ProgramChangeEvent({
-                instrument: this.instruments[instrument] || 0
-            }));
+            if (hairpin && index >= hairpin.end) {
+                level = hairpin.to;
+                hairpin = null;
+            }
             
-            // Añadir notas (aquí podrías dividir las notas entre pistas)
-            const midiEvents = this.convertNotesToEvents(parsedMusic.body, parsedMusic.header);
-            midiEvents.forEach(event => {
-                track.addEvent(event);
-            });
+            const dynamic = dynamicOf(element);
+            if (dynamic) {
+                level = this.dynamics[dynamic];
+                hairpin = null;
+            }
             
-            tracks.push(track);
+            const opening = decorations.find(d => d === 'crescendo(' || d === 'diminuendo(');
+            if (opening) {
+                let end = elements.findIndex((other, i) => i > index &&
+                    (other.decorations || []).some(d => d === 'crescendo)' || d === 'diminuendo)'));
+                if (end < 0) end = elements.length;
+                
+                const target = end < elements.length && dynamicOf(elements[end]);
+                const step = opening === 'crescendo(' ? this.hairpinStep : -this.hairpinStep;
+                hairpin = {
+                    end,
+                    from: level,
+                    to: target ? this.dynamics[target] : Math.max(1, Math.min(127, level + step)),
+                    startTime: onsets[index],
+                    span: onsets[end].sub(onsets[index])
+                };
+            }
+            
+            if (hairpin && hairpin.span > 0) {
+                const progress = onsets[index].sub(hairpin.startTime).div(hairpin.span);
+                velocities.push(Math.round(hairpin.from + (hairpin.to - hairpin.from) * progress));
+            } else {
+                velocities.push(level);
+            }
         });
         
+        return velocities;
+    }
+
+    /**
+     * Acento de %%MIDI beat a b c n: diferencia con la velocidad c de la
+     * primera parte del compás (a) y de cada n partes (b). Las partes se
+     * cuentan en unidades del denominador del compás.
+     * @param {Object} beat - { first, strong, other, every } o undefined
+     * @param {Fraction} position - Posición de la nota dentro del compás
+     * @param {Object} timeSignature - Compás actual
+     * @returns {number} - Velocidad a sumar
+     */
+    beatAccent(beat, position, timeSignature) {
+        if (!beat || !timeSignature) {
+            return 0;
+        }
+        
+        const part = position.mul(timeSignature.denominator);
+        if (part.denominator !== 1) return 0;
+        if (part.numerator === 0) return beat.first - beat.other;
+        if (part.numerator % beat.every === 0) return beat.strong - beat.other;
+        return 0;
+    }
+
+    /**
+     * Limita una velocidad al rango MIDI (1-127)
+     */
+    clampVelocity(velocity) {
+        return Math.max(1, Math.min(127, velocity));
+    }
+
+    /**
+     * Aplica las articulaciones de una nota a su velocidad y a la fracción
+     * de su duración que suena
+     * @param {Array} decorations - Decoraciones normalizadas de la nota
+     * @param {number} velocity - Velocidad según la dinámica
+     * @param {number} gate - Fracción que suena por defecto
+     * @returns {Object} - { velocity, gate }
+     */
+    articulation(decorations = [], velocity, gate) {
+        if (decorations.includes('accent')) {
+            velocity = Math.min(127, velocity + this.accentBoost);
+        }
+        if (decorations.includes('sfz')) {
+            velocity = 127;
+        }
+        if (decorations.includes('staccato')) {
+            gate = Math.min(gate, this.staccatoGate);
+        }
+        if (decorations.includes('tenuto') || decorations.includes('fermata')) {
+            gate = 1;
+        }
+        
+        return { velocity, gate };
+    }
+
+    /**
+     * Convierte la línea de tiempo en eventos de midi-writer-js
+     *
+     * Cada nota se separa en note on / note off y todo se ordena por tick,
+     * escribiendo los tiempos como deltas respecto al evento anterior.
+     * Los cambios de tonalidad, compás y tempo se escriben como eventos
+     * meta entre los note off y los note on de su tick.
+     * Si una nota vuelve a sonar antes de que termine la anterior de la
+     * misma altura, la anterior se corta en ese instante.
+     */
+    timelineToEvents(timeline) {
+        const messages = [];
+        timeline.events.forEach((event, id) => {
+            if (event.type !== 'note') {
+                messages.push({ kind: 'meta', tick: event.tick, id, event });
+                return;
+            }
+            messages.push({ kind: 'on', tick: event.tick, id, event });
+            messages.push({ kind: 'off', tick: event.tick + event.duration, id, event });
+        });
+        
+        // En el mismo tick: note off, eventos meta y note on
+        const order = { off: 0, meta: 1, on: 2 };
+        messages.sort((a, b) => a.tick - b.tick || order[a.kind] - order[b.kind]);
+        
+        const events = [];
+        const sounding = {};
+        const cut = new Set();
+        let lastTick = 0;
+        
+        const emit = (kind, event, tick) => {
+            const delta = 'T' + (tick - lastTick);
+            const fields = {
+                pitch: this.midiNoteToPitch(event.midiNote),
+                channel: event.channel + 1,
+                velocity: event.velocity * 100 / 127
+            };
+            events.push(kind === 'on' ?
+                new MidiWriter.NoteOnEvent({ ...fields, wait: delta }) :
+                new MidiWriter.NoteOffEvent({ ...fields, duration: delta }));
+            lastTick = tick;
+        };
+        
+        messages.forEach(message => {
+            const key = `${message.event.channel}:${message.event.midiNote}`;
+            
+            if (message.kind === 'meta') {
+                const event = this.metaEvent(message.event, message.tick, message.tick - lastTick);
+                if (event) {
+                    events.push(event);
+                    lastTick = message.tick;
+                }
+            } else if (message.kind === 'on') {
+                if (key in sounding) {
+                    emit('off', timeline.events[sounding[key]], message.tick);
+                    cut.add(sounding[key]);
+                }
+                sounding[key] = message.id;
+                emit('on', message.event, message.tick);
+            } else if (!cut.has(message.id)) {
+                if (sounding[key] === message.id) delete sounding[key];
+                emit('off', message.event, message.tick);
+            }
+        });
+        
+        // El final de pista respeta los silencios finales
+        events.push(new MidiWriter.EndTrackEvent({
+            delta: Math.max(0, timeline.endTick - lastTick)
+        }));
+        
+        return events;
+    }
+
+    /**
+     * Crea el evento de un cambio de tonalidad, compás, tempo o
+     * instrumento, de un marcador o de una sílaba o texto de la letra
+     *
+     * midi-writer-js escribe la armadura y el compás siempre con delta 0,
+     * así que se sustituye el delta al principio de sus datos.
+     * @param {Object} change - Evento 'key', 'meter', 'tempo', 'program', 'marker',
+     *   'lyric' o 'text' de la línea de tiempo
+     * @param {number} tick - Tick absoluto del evento
+     * @param {number} delta - Ticks desde el evento anterior
+     * @returns {Object|null} - Evento de midi-writer-js o null si no es representable
+     */
+    metaEvent(change, tick, delta) {
+        let event = null;
+        
+        if (change.type === 'tempo') {
+            // Un tempo solo con texto no cambia la velocidad
+            return change.tempo ? new MidiWriter.TempoEvent({ bpm: change.tempo, tick, delta }) : null;
+        }
+        
+        if (change.type === 'marker') {
+            return new MidiWriter.MarkerEvent({ text: change.text, delta });
+        }
+        
+        if (change.type === 'lyric') {
+            // Las sílabas que siguen en la misma palabra terminan en guion
+            return new MidiWriter.LyricEvent({ text: change.text + (change.hyphen ? '-' : ' '), delta });
+        }
+        
+        if (change.type === 'text') {
+            return new MidiWriter.TextEvent({ text: change.text, delta });
+        }
+        
+        if (change.type === 'program') {
+            return new MidiWriter.ProgramChangeEvent({
+                instrument: change.program,
+                channel: change.channel + 1,
+                delta
+            });
+        }
+        
+        if (change.type === 'key') {
+            // MIDI solo distingue mayor y menor, con hasta 7 alteraciones
+            const transposed = change.keySignature.mode === 'none' ? change.keySignature.fifths :
+                this.transposeFifths(change.keySignature.fifths, change.transpose || 0);
+            const fifths = Math.max(-7, Math.min(7, transposed));
+            event = new MidiWriter.KeySignatureEvent(fifths, change.keySignature.mode === 'min' ? 1 : 0);
+        } else if (change.type === 'meter') {
+            const timeSignature = change.timeSignature;
+            if (!timeSignature || !Number.isInteger(Math.log2(timeSignature.denominator))) {
+                return null;
+            }
+            event = new MidiWriter.TimeSignatureEvent(timeSignature.numerator, timeSignature.denominator);
+        }
+        
+        if (event) {
+            event.data = MidiWriter.Utils.numberToVariableLength(delta).concat(event.data.slice(1));
+        }
+        return event;
+    }
+
+    /**
+     * Convierte las notas parseadas en eventos MIDI
+     */
+    convertNotesToEvents(notes, header, options = {}) {
+        return this.timelineToEvents(this.buildTimeline(notes, header, options));
+    }
+
+    /**
+     * Convierte una duración (fracción de redonda) a ticks MIDI exactos
+     * @param {Fraction} duration - Duración como fracción de redonda
+     * @param {number} ppq - Ticks por negra
+     * @returns {Fraction} - Ticks, posiblemente fraccionarios
+     */
+    durationToTicks(duration, ppq = this.ppq) {
+        return Fraction.from(duration).mul(4 * ppq);
+    }
+
+    /**
+     * Mapa de tempo: el tempo inicial de la cabecera y cada cambio de
+     * tempo de cualquier voz, con el segundo en que empieza
+     * @param {Object} header - Cabecera parseada
+     * @param {Array} timelines - Líneas de tiempo de las voces
+     * @param {number} ppq - Ticks por negra
+     * @returns {Array} - Cambios { tick, bpm, seconds } ordenados por tick
+     */
+    tempoMap(header, timelines, ppq = this.ppq) {
+        const changes = {};
+        timelines.forEach(timeline => timeline.events
+            .filter(event => event.type === 'tempo' && event.tempo)
+            .forEach(event => { changes[event.tick] = event.tempo; }));
+        
+        const tempos = [{ tick: 0, bpm: header.tempo || 120, seconds: 0 }];
+        Object.keys(changes).map(Number).sort((a, b) => a - b).forEach(tick => {
+            const last = tempos[tempos.length - 1];
+            if (tick === last.tick) {
+                last.bpm = changes[tick];
+                return;
+            }
+            tempos.push({ tick, bpm: changes[tick], seconds: this.ticksToSeconds(tick, tempos, ppq) });
+        });
+        return tempos;
+    }
+
+    /**
+     * Segundo en que suena un tick según el mapa de tempo (el bpm es de
+     * negras, como en el MIDI)
+     * @param {number} tick - Tick desde el inicio
+     * @param {Array} tempos - Mapa de tempo de tempoMap
+     * @param {number} ppq - Ticks por negra
+     * @returns {number} - Segundos, redondeados al microsegundo
+     */
+    ticksToSeconds(tick, tempos, ppq = this.ppq) {
+        const tempo = tempos.filter(change => change.tick <= tick).pop() || tempos[0];
+        const seconds = tempo.seconds + (tick - tempo.tick) * 60 / (tempo.bpm * ppq);
+        return Math.round(seconds * 1e6) / 1e6;
+    }
+
+    /**
+     * Construye el archivo MIDI con la resolución indicada
+     */
+    buildFile(tracks, ppq = this.ppq) {
         const writer = new MidiWriter.Writer(tracks);
-        return Buffer.from(writer.buildFile(), 'binary');
+        const file = writer.buildFile();
+        
+        // midi-writer-js siempre escribe 128 ticks por negra en la cabecera
+        file[12] = (ppq >> 8) & 0x7f;
+        file[13] = ppq & 0xff;
+        
+        return Buffer.from(file);
+    }
+
+    /**
+     * Convierte nota MIDI a formato de pitch para MidiWriter
+     */
+    midiNoteToPitch(midiNote) {
+        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const octave = Math.floor(midiNote / 12) - 1;
+        const noteIndex = midiNote % 12;
+        return noteNames[noteIndex] + octave;
+    }
+
+    /**
+     * Genera MIDI con múltiples pistas: una por voz, cada una con el
+     * instrumento de su posición en la lista
+     */
+    generateMultiTrack(parsedMusic, instruments = null) {
+        return this.buildFile(this.buildVoiceTracks(parsedMusic, instruments));
     }
 
     /**
@@ -147,45 +1114,73 @@ class MidiGenerator {
      * Genera un archivo MIDI con metadatos
      */
     generateWithMetadata(parsedMusic, metadata = {}) {
-        const track = new MidiWriter.Track();
+        const textEvents = [];
         
         // Añadir metadatos si están disponibles
         if (metadata.title) {
-            track.addEvent(new MidiWriter.TextEvent({
+            textEvents.push(new MidiWriter.TextEvent({
                 text: metadata.title
             }));
         }
         
         if (metadata.composer) {
-            track.addEvent(new MidiWriter.TextEvent({
+            textEvents.push(new MidiWriter.TextEvent({
                 text: metadata.composer
             }));
         }
         
-        // Continuar con la generación normal
-        track.setTempo(parsedMusic.header.tempo || 120);
-        track.addEvent(new MidiWriter.ProgramChangeEvent({
-            instrument: this.instruments.piano
-        }));
-        
-        const midiEvents = this.convertNotesToEvents(parsedMusic.body, parsedMusic.header);
-        midiEvents.forEach(event => {
-            track.addEvent(event);
-        });
+        // Continuar con la generación normal: los metadatos van al
+        // principio de la primera pista
+        const tracks = this.buildVoiceTracks(parsedMusic);
+        tracks[0].events.unshift(...textEvents);
         
-        const writer = new MidiWriter.Writer(track);
-        return Buffer.from(writer.buildFile(), 'binary');
+        return this.buildFile(tracks);
+    }
+
+    /**
+     * Armadura (en quintas) de una tonalidad transpuesta n semitonos
+     *
+     * Cada semitono son 7 quintas; el resultado se escribe con la armadura
+     * de 5 bemoles a 6 sostenidos (Db en lugar de C#, F# en lugar de Gb).
+     * Las transposiciones por octavas conservan la armadura original.
+     */
+    transposeFifths(fifths, semitones) {
+        if (semitones % 12 === 0) return fifths;
+        const transposed = fifths + 7 * semitones;
+        return ((transposed % 12) + 12 + 5) % 12 - 5;
+    }
+
+    /**
+     * Lleva una nota fuera del rango MIDI (0-127) a la octava más cercana
+     * dentro de él
+     */
+    fitNoteRange(midiNote) {
+        while (midiNote < 0) midiNote += 12;
+        while (midiNote > 127) midiNote -= 12;
+        return midiNote;
     }
 
     /**
      * Valida que las notas MIDI estén en rango válido
+     *
+     * Las notas que con la transposición quedan fuera de 0-127 no son un
+     * error: se avisan y suenan en la octava más cercana (fitNoteRange).
+     * @param {Array} notes - Elementos parseados
+     * @param {number} transpose - Semitonos que se suman al reproducir
+     * @returns {Object} - { isValid, errors, warnings }
      */
-    validateMidiNotes(notes) {
+    validateMidiNotes(notes, transpose = 0) {
         const errors = [];
+        const warnings = [];
+        
+        // Las notas de un acorde se validan una a una
+        const flatNotes = notes.flatMap(note => note.type === 'chord' ? note.notes : [note]);
         
-        notes.forEach((note, index) => {
-            if (note.midiNote < 0 || note.midiNote > 127) {
-                errors.push(`Nota ${index + 1}: MIDI note ${note.midiNote} fuera de rango (0-127)`);
+        flatNotes.forEach((note, index) => {
+            const midiNote = note.midiNote + transpose;
+            if (note.type === 'note' && (midiNote < 0 || midiNote > 127)) {
+                warnings.push(`Nota ${index + 1}: MIDI note ${midiNote} fuera de rango (0-127): ` +
+                    `suena como ${this.fitNoteRange(midiNote)}`);
             }
             
             if (note.duration <= 0) {
@@ -195,7 +1190,8 @@ class MidiGenerator {
         
         return {
             isValid: errors.length === 0,
-            errors
+            errors,
+            warnings
         };
     }
 
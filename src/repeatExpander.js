@@ -0,0 +1,230 @@
+/**
+ * Despliegue de repeticiones y saltos de la partitura
+ *
+ * Una partitura ABC no se toca en el orden en que se escribe: las barras
+ * de repetición, los finales alternativos y las indicaciones D.C., D.S.,
+ * Fine y Coda hacen volver atrás o saltar hacia delante. Esta clase
+ * recorre el cuerpo parseado y devuelve los elementos en el orden en que
+ * realmente suenan.
+ */
+
+class RepeatExpander {
+    constructor() {
+        // Límite de seguridad ante estructuras mal formadas: la música
+        // desplegada de una sección no puede pasar de estos elementos
+        this.maxElements = 10000;
+    }
+
+    /**
+     * Despliega repeticiones, finales y saltos
+     *
+     * Reglas:
+     * - :| vuelve al último |: (o al principio, o a la barra :| anterior,
+     *   como en abc2midi); :: cierra y abre a la vez
+     * - Los finales [1, [2, |1, :|2 suenan en la pasada con su número y
+     *   se saltan en las demás; hay tantas pasadas como indique el final
+     *   más alto que sigue a la barra de repetición
+     * - !D.C.! vuelve al principio y !D.S.! a la marca !segno!; tras el
+     *   salto no se repite y solo suena el último final de cada grupo
+     * - Tras el salto, !fine! termina la pieza y !dacoda! (o la primera
+     *   !coda!) salta a la siguiente marca !coda!
+     *
+     * Si la música desplegada supera maxElements se corta con un aviso.
+     * @param {Array} elements - Cuerpo parseado
+     * @param {Diagnostics} diagnostics - Donde se anota el aviso (opcional)
+     * @returns {Array} - Elementos en orden de ejecución, sin finales ni marcas
+     */
+    expand(elements, diagnostics = null) {
+        const output = [];
+        let index = 0;
+        let repeatStart = 0;
+        let pass = 1;
+        let skipping = false;
+        let jump = null;
+        let segno = 0;
+        const segnoIndex = elements.findIndex(e => e.type === 'navigation' && e.marker === 'segno');
+        if (segnoIndex >= 0) segno = segnoIndex;
+
+        while (index < elements.length && output.length < this.maxElements) {
+            const element = elements[index];
+
+            if (element.type === 'ending') {
+                skipping = jump ?
+                    this.endsWithRepeat(elements, index) :
+                    !element.numbers.includes(pass);
+                index++;
+                continue;
+            }
+
+            if (element.type === 'bar') {
+                if (skipping) {
+                    // Un final que no toca termina en la siguiente barra
+                    // de repetición o barra doble
+                    if (element.repeatEnd || element.repeatStart || element.double) {
+                        skipping = false;
+                        if (element.repeatStart) {
+                            repeatStart = index + 1;
+                            pass = 1;
+                        }
+                    }
+                    index++;
+                    continue;
+                }
+
+                output.push(element);
+
+                if (element.repeatEnd && !jump) {
+                    if (pass < this.repeatCount(elements, index)) {
+                        pass++;
+                        index = repeatStart;
+                        continue;
+                    }
+                    // Tras la última pasada, el siguiente :| vuelve aquí
+                    pass = 1;
+                    repeatStart = index + 1;
+                }
+
+                if (element.repeatStart) {
+                    repeatStart = index + 1;
+                    pass = 1;
+                }
+
+                index++;
+                continue;
+            }
+
+            if (element.type === 'navigation') {
+                if (skipping) {
+                    index++;
+                    continue;
+                }
+                const target = this.navigate(elements, index, element.marker, jump, segno);
+                if (target === 'stop') break;
+                if (target !== null) {
+                    if (!jump && /^D\.[CS]\./.test(element.marker)) {
+                        jump = element.marker;
+                        pass = 1;
+                        skipping = false;
+                    }
+                    index = target;
+                    continue;
+                }
+                index++;
+                continue;
+            }
+
+            if (!skipping) output.push(element);
+            index++;
+        }
+
+        // Un solo aviso aunque se corten varias voces o secciones
+        if (output.length >= this.maxElements && index < elements.length && diagnostics &&
+            !diagnostics.items.some(item => item.code === 'repeat-limit')) {
+            diagnostics.warning('repeat-limit',
+                `Las repeticiones despliegan más de ${this.maxElements} elementos: la música se corta ahí`);
+        }
+
+        return output;
+    }
+
+    /**
+     * Ordena las partes (P:) de la pieza
+     *
+     * El cuerpo se divide en secciones por sus marcas de parte; la música
+     * anterior a la primera marca suena al principio. Las secciones se
+     * devuelven en el orden indicado, cada una empezando por su marca, y
+     * las etiquetas sin sección se ignoran. Sin orden o sin marcas, el
+     * cuerpo es una única sección.
+     * @param {Array} elements - Cuerpo parseado
+     * @param {Array|null} order - Etiquetas en orden de ejecución (P: de la cabecera)
+     * @returns {Array} - Secciones (listas de elementos) en orden de ejecución
+     */
+    splitParts(elements, order) {
+        const intro = [];
+        const sections = {};
+        let current = intro;
+
+        elements.forEach(element => {
+            if (element.type === 'part') {
+                if (!sections[element.label]) sections[element.label] = [];
+                current = sections[element.label];
+            }
+            current.push(element);
+        });
+
+        if (!order || order.length === 0 || Object.keys(sections).length === 0) {
+            return [elements];
+        }
+
+        return [intro, ...order.filter(label => sections[label]).map(label => sections[label])]
+            .filter(section => section.length > 0);
+    }
+
+    /**
+     * Resuelve una marca de navegación
+     * @returns {number|string|null} - Índice al que saltar, 'stop' o null
+     */
+    navigate(elements, index, marker, jump, segno) {
+        if (marker === 'D.C.' || marker === 'D.C.alfine' || marker === 'D.C.alcoda') {
+            return jump ? null : 0;
+        }
+
+        if (marker === 'D.S.' || marker === 'D.S.alfine' || marker === 'D.S.alcoda') {
+            return jump ? null : segno;
+        }
+
+        if (!jump) return null;
+
+        if (marker === 'fine' && !jump.endsWith('alcoda')) {
+            return 'stop';
+        }
+
+        if ((marker === 'dacoda' || marker === 'coda') && !jump.endsWith('alfine')) {
+            // Saltar a la siguiente marca de coda
+            const coda = elements.findIndex((e, i) =>
+                i > index && e.type === 'navigation' && e.marker === 'coda');
+            return coda >= 0 ? coda + 1 : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Número de pasadas de una repetición: 2, o el número más alto de los
+     * finales que siguen a la barra :| (|1 ... :|2 ... :|3 ...)
+     */
+    repeatCount(elements, barIndex) {
+        let count = 2;
+        const next = elements[barIndex + 1];
+        if (!next || next.type !== 'ending') return count;
+
+        for (let i = barIndex + 1; i < elements.length; i++) {
+            const element = elements[i];
+            if (element.type === 'ending') {
+                count = Math.max(count, ...element.numbers);
+                if (!this.endsWithRepeat(elements, i)) break;
+            } else if (element.type === 'bar' && element.repeatStart && !element.repeatEnd) {
+                break;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Indica si un final termina con una barra de repetición (:|), es
+     * decir, si no es el último final de su grupo
+     */
+    endsWithRepeat(elements, endingIndex) {
+        for (let i = endingIndex + 1; i < elements.length; i++) {
+            const element = elements[i];
+            if (element.type === 'ending') return false;
+            if (element.type === 'bar' && (element.repeatEnd || element.repeatStart || element.double)) {
+                return element.repeatEnd;
+            }
+        }
+        return false;
+    }
+}
+
+module.exports = RepeatExpander;
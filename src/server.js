@@ -11,12 +11,14 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const ABCToMidiConverter = require('./converter');
+const ABCTransposer = require('./abcTransposer');
 
 class ABCToMidiServer {
     constructor(port = 3000) {
         this.app = express();
         this.port = port;
         this.converter = new ABCToMidiConverter();
+        this.transposer = new ABCTransposer(this.converter.parser);
         this.uploadDir = path.join(__dirname, '../uploads');
         this.downloadDir = path.join(__dirname, '../downloads');
         
@@ -134,6 +136,52 @@ class ABCToMidiServer {
             }
         });
 
+        // API: Transponer el texto ABC a otra tonalidad
+        this.app.post('/api/transpose', async (req, res) => {
+            try {
+                const { abcString, semitones, key } = req.body;
+                
+                if (!abcString) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Se requiere notación ABC'
+                    });
+                }
+
+                res.json(this.transposer.transpose(abcString, { semitones, key }));
+                
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Error en la transposición',
+                    details: error.message
+                });
+            }
+        });
+
+        // API: Línea de tiempo (tick, segundos y posición en el texto)
+        this.app.post('/api/timeline', async (req, res) => {
+            try {
+                const { abcString, options = {} } = req.body;
+                
+                if (!abcString) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Se requiere notación ABC'
+                    });
+                }
+
+                res.json(this.converter.timeline(abcString, options));
+                
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Error al calcular la línea de tiempo',
+                    details: error.message
+                });
+            }
+        });
+
         // API: Descargar archivo MIDI
         this.app.post('/api/download', async (req, res) => {
             try {
@@ -185,8 +233,10 @@ class ABCToMidiServer {
                     });
                 }
 
+                // En un cancionero se puede elegir el tune por su número X:
                 const abcString = await fs.readFile(req.file.path, 'utf8');
-                const result = this.converter.convert(abcString);
+                const result = this.converter.convert(abcString, { tune: req.body.tune });
+                result.tunes = this.converter.listTunes(abcString);
                 
                 // Limpiar archivo temporal
                 await fs.unlink(req.file.path);
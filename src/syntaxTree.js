@@ -0,0 +1,289 @@
+/**
+ * Árbol sintáctico de un tune ABC
+ *
+ * Cada elemento del texto (campos, notas, silencios, acordes, barras,
+ * decoraciones, comentarios, saltos de línea...) es un nodo con su tipo,
+ * el texto que ocupa y dónde empieza y termina: línea y columna desde 1
+ * y offset desde 0 en el texto analizado, con el final exclusivo. Sirve
+ * para resaltar la sintaxis, localizar en el texto la nota sobre la que
+ * se hace clic y formatear la partitura.
+ *
+ * El parser va añadiendo los nodos del cuerpo a medida que recorre sus
+ * tokens. Cada nodo guarda en elements, por voz, los elementos del
+ * cuerpo que produce, así que el cuerpo se puede reconstruir desde el
+ * árbol (ABCParser.bodyFromAst).
+ */
+
+class SyntaxTree {
+    /**
+     * @param {Array} lines - Líneas del texto
+     * @param {Array} origins - Tramos originales de las líneas expandidas (MacroExpander)
+     * @param {number} firstLine - Líneas del tune anteriores a lines
+     */
+    constructor(lines, origins = [], firstLine = 0) {
+        this.lines = lines;
+        this.origins = origins;
+        this.firstLine = firstLine;
+        this.source = lines.join('\n');
+
+        // Offset del principio de cada línea
+        this.offsets = [];
+        let offset = 0;
+        lines.forEach(line => {
+            this.offsets.push(offset);
+            offset += line.length + 1;
+        });
+
+        // Nodos del cuerpo y acordes o grupos de adorno sin cerrar
+        this.body = [];
+        this.open = [];
+
+        // Tipo de nodo de cada tipo de token del parser
+        this.nodeTypes = {
+            field: 'field',
+            bar: 'barline',
+            ending: 'ending',
+            decoration: 'decoration',
+            broken: 'brokenRhythm',
+            chordStart: 'chord',
+            graceStart: 'graceGroup',
+            tuplet: 'tuplet',
+            slurStart: 'slurStart',
+            slurEnd: 'slurEnd',
+            rest: 'rest',
+            note: 'note'
+        };
+    }
+
+    /**
+     * Posición { line, column, offset } de un carácter de una línea
+     * @param {number} line - Línea en el tune, desde 1
+     * @param {number} index - Índice en la línea, desde 0
+     */
+    position(line, index) {
+        return { line, column: index + 1, offset: this.offsets[line - 1 - this.firstLine] + index };
+    }
+
+    /**
+     * Índice en la línea original de un carácter del texto analizado
+     * (distinto si la línea tiene macros)
+     */
+    sourceIndex(line, index) {
+        const origin = this.origins[line - 1 - this.firstLine];
+        return origin && index < origin.length ? origin[index].start : index;
+    }
+
+    /**
+     * Nodo entre dos posiciones, con el texto que ocupa
+     */
+    range(type, start, end, props = {}) {
+        return { type, start, end, text: this.source.slice(start.offset, end.offset), ...props };
+    }
+
+    /**
+     * Nodo que ocupa un tramo de una línea
+     *
+     * start y end son índices en el texto que analizó el parser; en una
+     * línea con macros es el texto expandido, y el nodo ocupa el tramo
+     * original del que sale (la macro entera si el tramo sale de ella).
+     */
+    node(type, line, start, end, props = {}) {
+        const origin = this.origins[line - 1 - this.firstLine];
+        if (origin && end > start) {
+            [start, end] = [origin[start].start, origin[end - 1].end];
+        }
+        return this.range(type, this.position(line, start), this.position(line, end), props);
+    }
+
+    /**
+     * Comentario (% ...) o directiva (%% ...) hasta el final de la línea
+     */
+    comment(line, start, props = {}) {
+        const text = this.lines[line - 1 - this.firstLine];
+        start = this.sourceIndex(line, start);
+        const type = text.startsWith('%%', start) && text.slice(0, start).trim() === '' ? 'directive' : 'comment';
+        return this.range(type, this.position(line, start), this.position(line, text.length), props);
+    }
+
+    /**
+     * Salto de línea al final de una línea
+     */
+    lineBreak(line, props = {}) {
+        const text = this.lines[line - 1 - this.firstLine];
+        return this.range('lineBreak', this.position(line, text.length), this.position(line + 1, 0), props);
+    }
+
+    /**
+     * Nodos de una línea de la cabecera: campo, comentario o directiva
+     */
+    lineNodes(line) {
+        const text = this.lines[line - 1 - this.firstLine];
+        const start = text.search(/\S/);
+        if (start < 0) return [];
+        if (text[start] === '%') return [this.comment(line, start)];
+
+        const commentStart = text.indexOf('%');
+        const code = commentStart < 0 ? text : text.slice(0, commentStart);
+        const end = code.trimEnd().length;
+        const field = code.trim().match(/^([A-Za-z]):(.*)$/);
+        const nodes = [field ?
+            this.node('field', line, start, end, { name: field[1], value: field[2].trim(), inline: false }) :
+            this.node('unknown', line, start, end)];
+        if (commentStart >= 0) nodes.push(this.comment(line, commentStart));
+        return nodes;
+    }
+
+    /**
+     * Nodo raíz del tune: la cabecera (sus líneas de campos, comentarios
+     * y directivas) y el cuerpo con los nodos añadidos por el parser
+     * @param {number} headerLineCount - Líneas de la cabecera
+     * @param {Array} voices - Identificadores de las voces, en orden
+     * @returns {Object} - Nodo 'tune' con los nodos 'header' y 'body'
+     */
+    root(headerLineCount, voices) {
+        const first = this.firstLine + 1;
+        const last = this.firstLine + this.lines.length;
+        const bodyLine = first + headerLineCount;
+        const start = this.position(first, 0);
+        const end = this.position(last, this.lines[this.lines.length - 1].length);
+        const bodyStart = bodyLine <= last ? this.position(bodyLine, 0) : end;
+
+        const header = [];
+        for (let line = first; line < bodyLine; line++) {
+            header.push(...this.lineNodes(line));
+            if (line < last) header.push(this.lineBreak(line));
+        }
+
+        return this.range('tune', start, end, {
+            voices,
+            children: [
+                this.range('header', start, bodyStart, { children: header }),
+                this.range('body', bodyStart, end, { children: this.body })
+            ]
+        });
+    }
+
+    /**
+     * Pasa las posiciones del árbol al texto del que salió el tune
+     *
+     * En un cancionero el texto del tune lleva además la cabecera del
+     * archivo: cada posición pasa a la línea del archivo de la que sale.
+     * El texto de los nodos no cambia, así que en los que abarcan varias
+     * líneas (la cabecera, el tune) puede no coincidir con el tramo del
+     * archivo entre sus posiciones.
+     * @param {Object} node - Nodo raíz devuelto por root
+     * @param {Array} sourceLines - { line, offset } de cada línea del tune (ABCParser.splitTunes)
+     * @returns {Object} - El mismo nodo
+     */
+    relocate(node, sourceLines) {
+        // Las posiciones pueden ser compartidas entre nodos: se sustituyen, no se modifican
+        const source = ({ line, column }) => {
+            const sourceLine = sourceLines[line - 1];
+            return { line: sourceLine.line, column, offset: sourceLine.offset + column - 1 };
+        };
+        const visit = (current) => {
+            const start = source(current.start);
+
+            // Un salto de línea acaba en la línea siguiente del archivo, que
+            // puede no ser la siguiente del tune
+            current.end = current.type === 'lineBreak' ?
+                { line: start.line + 1, column: 1, offset: start.offset + current.text.length } :
+                source(current.end);
+            current.start = start;
+            (current.children || []).forEach(visit);
+        };
+        visit(node);
+        return node;
+    }
+
+    /**
+     * Añade al cuerpo el nodo de un token del parser
+     *
+     * Las notas de un acorde o de un grupo de adorno son hijas de su
+     * nodo. Una barra cierra lo que quede abierto, igual que en el
+     * parser; los cierres sin apertura quedan como nodos 'unknown'.
+     * @param {Object} token - Token con su línea y su tramo (start, end)
+     * @param {string} voice - Voz en la que está el token
+     * @param {Object} elements - Elementos del cuerpo producidos, por voz
+     */
+    add(token, voice, elements = {}) {
+        const props = {};
+        if (token.type === 'field' && !token.directive) {
+            props.name = token.match[1];
+            props.value = token.match[2].trim();
+            props.inline = token.match[0].startsWith('[');
+        }
+        props.voice = voice;
+        if (Object.keys(elements).length > 0) props.elements = elements;
+
+        if (token.type === 'comment') {
+            this.append(this.comment(token.line, token.start, props));
+            return;
+        }
+        if (token.type === 'lineBreak') {
+            this.append(this.lineBreak(token.line, props));
+            return;
+        }
+
+        const closes = { chordEnd: 'chord', graceEnd: 'graceGroup' }[token.type];
+        const node = this.node(this.nodeType(token, elements), token.line, token.start, token.end, props);
+        if (closes) {
+            const index = this.open.map(open => open.type).lastIndexOf(closes);
+            if (index >= 0) {
+                const container = this.open[index];
+                this.extend(node.end);
+                this.open = this.open.slice(0, index);
+                if (props.elements) container.elements = props.elements;
+                return;
+            }
+            node.type = 'unknown';
+        }
+
+        if (token.type === 'bar') {
+            this.open = [];
+        } else if (node.type === 'chord' || node.type === 'graceGroup') {
+            // Un acorde o grupo que empieza dentro de otro igual lo descarta
+            const index = this.open.map(open => open.type).lastIndexOf(node.type);
+            if (index >= 0) this.open = this.open.slice(0, index);
+        }
+
+        this.append(node);
+        if (node.type === 'chord' || node.type === 'graceGroup') {
+            node.children = [];
+            this.open.push(node);
+        }
+    }
+
+    /**
+     * Tipo del nodo de un token
+     */
+    nodeType(token, elements) {
+        if (token.type === 'quoted') {
+            const produced = Object.values(elements).flat();
+            return produced.some(element => element.type === 'chordSymbol') ? 'chordSymbol' : 'annotation';
+        }
+        if (token.type === 'field' && token.directive) return 'directive';
+        return this.nodeTypes[token.type] || 'unknown';
+    }
+
+    /**
+     * Añade un nodo al acorde o grupo abierto, o al cuerpo
+     */
+    append(node) {
+        const parent = this.open[this.open.length - 1];
+        (parent ? parent.children : this.body).push(node);
+        this.extend(node.end);
+    }
+
+    /**
+     * Alarga los acordes y grupos abiertos hasta una posición
+     */
+    extend(end) {
+        this.open.forEach(container => {
+            container.end = end;
+            container.text = this.source.slice(container.start.offset, end.offset);
+        });
+    }
+}
+
+module.exports = SyntaxTree;
@@ -0,0 +1,472 @@
+/**
+ * Tests unitarios del parser ABC
+ */
+
+const ABCParser = require('../src/abcParser');
+const Diagnostics = require('../src/diagnostics');
+
+describe('ABCParser', () => {
+    let parser;
+
+    const parseTune = (key, body) => parser.parse(`X:1\nT:Test\nM:4/4\nK:${key}\n${body}`);
+    const playable = (parsed) => parsed.body.filter(e => e.duration);
+    const midiNotes = (parsed) => playable(parsed).map(note => note.midiNote);
+    const durations = (parsed) => playable(parsed).map(note => note.duration.toString());
+
+    beforeEach(() => {
+        parser = new ABCParser();
+    });
+
+    describe('Armaduras (K:)', () => {
+        test('aplica la armadura mayor a cada nota', () => {
+            expect(midiNotes(parseTune('G', 'FGAf'))).toEqual([66, 67, 69, 78]);
+        });
+
+        test('interpreta tonalidades menores y modos', () => {
+            expect(parser.parseKey('Gm').accidentals).toEqual({ B: -1, E: -1 });
+            expect(parser.parseKey('D dor').accidentals).toEqual({});
+            expect(parser.parseKey('A mix').accidentals).toEqual({ F: 1, C: 1 });
+            expect(parser.parseKey('F#m').fifths).toBe(3);
+        });
+
+        test('admite alteraciones explícitas y K:none', () => {
+            expect(parser.parseKey('D exp ^f _b').accidentals).toEqual({ F: 1, B: -1 });
+            expect(parser.parseKey('D ^g').accidentals).toEqual({ F: 1, C: 1, G: 1 });
+            expect(midiNotes(parseTune('none', 'FB'))).toEqual([65, 71]);
+        });
+
+        test('las alteraciones escritas duran hasta el final del compás', () => {
+            expect(midiNotes(parseTune('C', '^FF f =F F | F'))).toEqual([66, 66, 77, 65, 65, 65]);
+            expect(midiNotes(parseTune('G', '=FF | F'))).toEqual([65, 65, 66]);
+        });
+    });
+
+    describe('Duraciones', () => {
+        test('multiplica la unidad L: por la longitud escrita', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\nC C2 C/2 C/ C3/2 C// C3//');
+            expect(durations(parsed)).toEqual(['1/4', '1/2', '1/8', '1/8', '3/8', '1/16', '3/16']);
+        });
+
+        test('deduce L: a partir del compás cuando falta', () => {
+            expect(parser.parse('X:1\nM:2/4\nK:C\nC').header.unitLength.toString()).toBe('1/16');
+            expect(parser.parse('X:1\nM:3/4\nK:C\nC').header.unitLength.toString()).toBe('1/8');
+            expect(parser.parse('X:1\nM:C\nK:C\nC').header.unitLength.toString()).toBe('1/8');
+        });
+
+        test('aplica los ritmos punteados > y <', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/8\nK:C\nC>D E<F G>>A');
+            expect(durations(parsed)).toEqual(['3/16', '1/16', '1/16', '3/16', '7/32', '1/32']);
+        });
+    });
+
+    describe('Silencios', () => {
+        test('los silencios z y x usan las mismas reglas de duración', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/8\nK:C\nC z2 x/ C>z');
+            expect(parsed.body.map(e => e.type)).toEqual(['note', 'rest', 'rest', 'note', 'rest']);
+            expect(durations(parsed)).toEqual(['1/8', '1/4', '1/16', '3/16', '1/16']);
+            expect(parsed.body[2].invisible).toBe(true);
+        });
+
+        test('expande los silencios de varios compases según el compás', () => {
+            const parsed = parser.parse('X:1\nM:3/4\nK:C\nZ4 | X | C');
+            expect(durations(parsed)).toEqual(['3', '3/4', '1/8']);
+            expect(parsed.body[0].measures).toBe(4);
+        });
+    });
+
+    describe('Acordes', () => {
+        test('agrupa las notas entre corchetes en un acorde', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/8\nK:C\n[CEG]2 c');
+            expect(parsed.body.map(e => e.type)).toEqual(['chord', 'note']);
+            expect(parsed.body[0].notes.map(n => n.midiNote)).toEqual([60, 64, 67]);
+            expect(durations(parsed)).toEqual(['1/4', '1/8']);
+        });
+
+        test('la longitud del acorde multiplica la de cada nota y dura como la primera', () => {
+            const [chord] = parser.parse('X:1\nM:4/4\nL:1/8\nK:C\n[C2E]3/2').body;
+            expect(chord.notes.map(n => n.duration.toString())).toEqual(['3/8', '3/16']);
+            expect(chord.duration.toString()).toBe('3/8');
+        });
+
+        test('las alteraciones del acorde siguen vigentes en el compás', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nK:C\n[^FA] F | F');
+            expect(midiNotes(parsed).slice(1)).toEqual([66, 65]);
+        });
+    });
+
+    describe('Ligaduras', () => {
+        test('marca las ligaduras de prolongación en notas y acordes', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nK:C\nC2-C [C-E] [CE]-');
+            expect(parsed.body[0].tie).toBe(true);
+            expect(parsed.body[1].tie).toBeUndefined();
+            expect(parsed.body[2].notes.map(n => !!n.tie)).toEqual([true, false]);
+            expect(parsed.body[3].notes.map(n => !!n.tie)).toEqual([true, true]);
+        });
+
+        test('la nota ligada tras la barra conserva su alteración', () => {
+            expect(midiNotes(parseTune('C', '^c-|c c'))).toEqual([73, 73, 72]);
+        });
+
+        test('marca las notas que enlazan dentro de una ligadura de expresión', () => {
+            const parsed = parseTune('C', '(CDE) F');
+            expect(parsed.body.map(n => !!n.slurred)).toEqual([true, true, false, false]);
+        });
+
+        test('acepta el guion de ligadura en la validación', () => {
+            expect(parser.validate('X:1\nM:4/4\nK:C\nC2-C').isValid).toBe(true);
+        });
+    });
+
+    describe('Grupos irregulares', () => {
+        const tupletDurations = (meter, body) => durations(parser.parse(`X:1\nM:${meter}\nL:1/8\nK:C\n${body}`));
+
+        test('los tresillos reparten dos notas entre tres', () => {
+            expect(tupletDurations('4/4', '(3abc d')).toEqual(['1/12', '1/12', '1/12', '1/8']);
+        });
+
+        test('usa el q por defecto según el compás', () => {
+            expect(tupletDurations('4/4', '(5abcde')).toEqual(Array(5).fill('1/20'));
+            expect(tupletDurations('6/8', '(5abcde')).toEqual(Array(5).fill('3/40'));
+            expect(tupletDurations('6/8', '(2ab c')).toEqual(['3/16', '3/16', '1/8']);
+        });
+
+        test('admite la forma completa (p:q:r con silencios y acordes', () => {
+            expect(tupletDurations('4/4', '(3:2:4a b z [ce] d')).toEqual(['1/12', '1/12', '1/12', '1/12', '1/8']);
+            expect(tupletDurations('4/4', '(3::2 a2b c')).toEqual(['1/6', '1/12', '1/8']);
+        });
+    });
+
+    describe('Barras y finales', () => {
+        test('distingue los tipos de barra y los finales', () => {
+            const parsed = parseTune('C', '|: C :|2 D || E |] [1 F');
+            const structure = parsed.body.filter(e => e.type !== 'note');
+            expect(structure.map(e => e.type)).toEqual(['bar', 'bar', 'ending', 'bar', 'bar', 'ending']);
+            expect(structure[0].repeatStart).toBe(true);
+            expect(structure[1].repeatEnd).toBe(true);
+            expect(structure[2].numbers).toEqual([2]);
+            expect(structure[3].double).toBe(true);
+            expect(parser.parseEnding('1-3,5').numbers).toEqual([1, 2, 3, 5]);
+        });
+
+        test('reconoce las marcas de navegación', () => {
+            const parsed = parseTune('C', 'S C !fine! !D.C.! O');
+            expect(parsed.body.filter(e => e.type === 'navigation').map(e => e.marker))
+                .toEqual(['segno', 'fine', 'D.C.', 'coda']);
+            expect(parser.validate('X:1\nM:4/4\nK:C\n|: C !fine! :| !D.S.alfine!').isValid).toBe(true);
+        });
+    });
+
+    describe('Voces', () => {
+        test('lee las definiciones V: con nombre, clave, transpose y octave', () => {
+            const voice = parser.parseVoice('T1 name="Tenor 1" sname="T1" clef=treble-8 transpose=-2 octave=-1');
+            expect(voice).toEqual({
+                id: 'T1', name: 'Tenor 1', shortName: 'T1', clef: 'treble-8', transpose: -2, octave: -1
+            });
+            expect(parser.parseVoice('2 bass').clef).toBe('bass');
+        });
+
+        test('separa la música de cada voz con líneas V: y campos [V:]', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nV:1\nV:2 octave=-1\nK:G\nV:1\nF G |\nV:2\nF |\n[V:1] A | [V:2] B |');
+            expect(parsed.voices.map(voice => voice.id)).toEqual(['1', '2']);
+            expect(midiNotes({ body: parsed.voices[0].body })).toEqual([66, 67, 69]);
+            expect(midiNotes({ body: parsed.voices[1].body })).toEqual([54, 59]);
+            expect(midiNotes(parsed)).toEqual([66, 67, 69, 54, 59]);
+        });
+
+        test('cada voz conserva sus propias alteraciones del compás', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nK:C\nV:1\n^F\nV:2\nF');
+            expect(parsed.voices.map(voice => voice.body[0].midiNote)).toEqual([66, 65]);
+        });
+    });
+
+    describe('Cancioneros', () => {
+        const tuneBook = 'L:1/4\nC:Anónimo\n\nX:1\nT:Uno\nK:C\nCD|\n\nnotas sueltas\n\nX:2\nT:Dos\nL:1/8\nK:C\nEF|';
+
+        test('separa los tunes e ignora el texto libre entre ellos', () => {
+            const tunes = parser.splitTunes(tuneBook);
+            expect(tunes.map(tune => tune.number)).toEqual([1, 2]);
+            expect(tunes[0].text).not.toContain('notas sueltas');
+        });
+
+        test('aplica la cabecera del archivo a cada tune', () => {
+            const [first, second] = parser.splitTunes(tuneBook).map(tune => parser.parse(tune.text));
+            expect(first.header.composer).toBe('Anónimo');
+            expect(durations(first)).toEqual(['1/4', '1/4']);
+            expect(durations(second)).toEqual(['1/8', '1/8']);
+        });
+
+        test('parse usa solo el primer tune', () => {
+            expect(midiNotes(parser.parse(tuneBook))).toEqual([60, 62]);
+        });
+
+        test('guarda la línea y el offset en el archivo de cada línea del tune', () => {
+            const [, second] = parser.splitTunes(tuneBook);
+            expect(second.sourceLines.map(source => source.line)).toEqual([11, 1, 2, 12, 13, 14, 15]);
+            second.text.split('\n').forEach((line, index) => {
+                expect(tuneBook.startsWith(line, second.sourceLines[index].offset)).toBe(true);
+            });
+        });
+
+        test('parseTune da las líneas de los avisos en el archivo', () => {
+            const book = tuneBook.replace('EF|', 'E#F|');
+            const parsed = parser.parseTune(parser.splitTunes(book)[1]);
+            expect(parsed.diagnostics.map(item => [item.code, item.line, item.column, item.excerpt])).toEqual([
+                ['unexpected-character', 15, 2, 'E#F|'],
+                ['bar-too-short', 15, 1, 'E#F|']
+            ]);
+            expect(parsed.bars[0]).toMatchObject({ line: 15, column: 1 });
+        });
+    });
+
+    describe('Cambios de campo en el cuerpo', () => {
+        test('aplica [K:], [M:] y [L:] desde su posición', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\nF [K:G] F [L:1/8] F [M:3/4] Z');
+            expect(midiNotes(parsed)).toEqual([65, 66, 66, undefined]);
+            expect(durations(parsed)).toEqual(['1/4', '1/4', '1/8', '3/4']);
+            expect(parsed.body.filter(e => e.type === 'key')[0].keySignature.fifths).toBe(1);
+        });
+
+        test('interpreta las líneas de campo dentro del cuerpo', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nK:C\nC D|\nK:Am\nQ:1/4=90\nM:6/8\nE|');
+            expect(parsed.body.map(e => e.type)).toEqual(['note', 'note', 'bar', 'key', 'tempo', 'meter', 'note', 'bar']);
+            expect(parsed.body[4].tempo).toBe(90);
+            expect(parsed.body[5].timeSignature).toEqual({ numerator: 6, denominator: 8 });
+        });
+
+        test('los argumentos de los campos no se leen como notas', () => {
+            expect(midiNotes(parseTune('C', 'C [K:Ab] A [K:clef=bass] A'))).toEqual([60, 68, 68]);
+        });
+    });
+
+    describe('Decoraciones', () => {
+        test('asigna las decoraciones normalizadas a la nota, acorde o silencio siguiente', () => {
+            const parsed = parseTune('C', '!p! .C !>! [CE] LD Hz !crescendo(! !<)! E');
+            const decorations = playable(parsed).map(e => e.decorations);
+            expect(decorations).toEqual([
+                ['p', 'staccato'], ['accent'], ['accent'], ['fermata'], ['crescendo(', 'crescendo)']
+            ]);
+        });
+
+        test('acepta los atajos de decoración en la validación', () => {
+            expect(parser.validate('X:1\nM:4/4\nK:C\n!mf! .C LD HE !tenuto!F').isValid).toBe(true);
+        });
+    });
+
+    describe('Adornos', () => {
+        test('asigna las notas de adorno a la nota o acorde siguiente', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/8\nK:D\n{gAB}c {/f}[ce] d');
+            const [note, chord, plain] = playable(parsed);
+            expect(note.graceNotes.map(n => n.midiNote)).toEqual([79, 69, 71]);
+            expect(chord.graceNotes.map(n => n.midiNote)).toEqual([78]);
+            expect(chord.acciaccatura).toBe(true);
+            expect(plain.graceNotes).toBeUndefined();
+            expect(durations(parsed)).toEqual(['1/8', '1/8', '1/8']);
+        });
+
+        test('calcula las notas vecinas de trinos, rolls y mordentes según la armadura', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/8\nK:G\nTE ~B M^c !turn!d !mordent!c');
+            expect(playable(parsed).map(n => n.ornament)).toEqual([
+                { type: 'trill', upper: 66, lower: 62 },
+                { type: 'roll', upper: 72, lower: 69 },
+                { type: 'lowermordent', upper: 74, lower: 71 },
+                { type: 'turn', upper: 76, lower: 73 },
+                { type: 'lowermordent', upper: 74, lower: 71 }
+            ]);
+        });
+
+        test('acepta adornos y notas de adorno en la validación', () => {
+            expect(parser.validate('X:1\nM:6/8\nK:D\n{g}A ~B3 TcMdPe').isValid).toBe(true);
+        });
+    });
+    describe('Directivas MIDI', () => {
+        test('interpreta las directivas al estilo de abc2midi', () => {
+            expect(parser.parseMidiDirective('program 1 41')).toEqual({ program: 41 });
+            expect(parser.parseMidiDirective('channel 10')).toEqual({ channel: 9 });
+            expect(parser.parseMidiDirective('beat 110 95 70 2')).toEqual({
+                beat: { first: 110, strong: 95, other: 70, every: 2 }
+            });
+            expect(parser.parseMidiDirective('drone 70 50 38')).toEqual({ drone: [70, 50, 38] });
+            expect(parser.parseMidiDirective('gchord fzczfz')).toEqual({ gchord: 'fzczfz' });
+            expect(parser.parseMidiDirective('desconocida 3')).toEqual({});
+        });
+
+        test('separa las directivas globales, de cada voz y del cuerpo', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\n%%MIDI transpose 2\nV:1\n%%MIDI program 73\n' +
+                'V:2\nI:MIDI program 32\nK:C\n%%MIDI channel 3\nV:1\nC D %%MIDI nada\n%%MIDI program 40\nE F|\nV:2\nC,4|');
+            expect(parsed.header.midi).toEqual({ transpose: 2, channel: 2 });
+            expect(parsed.voices.map(v => v.midi)).toEqual([{ program: 73 }, { program: 32 }]);
+            const changes = parsed.voices[0].body.filter(e => e.type === 'midi');
+            expect(changes.map(e => e.settings)).toEqual([{ program: 40 }]);
+        });
+    });
+    describe('Símbolos de acorde', () => {
+        test('coloca los símbolos de acorde en el cuerpo antes de su nota', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\n"Am"A c "G7/B"B d | "^rit." "F#m7b5"F4 |');
+            const symbols = parsed.body.filter(e => e.type === 'chordSymbol');
+            expect(symbols.map(s => [s.name, s.root, s.intervals, s.bass])).toEqual([
+                ['Am', 9, [0, 3, 7], null],
+                ['G7/B', 7, [0, 4, 7, 10], 11],
+                ['F#m7b5', 6, [0, 3, 6, 10], null]
+            ]);
+            expect(parsed.body[0].type).toBe('chordSymbol');
+            expect(parsed.body[1].type).toBe('note');
+        });
+
+        test('ignora las anotaciones y los tipos de acorde desconocidos', () => {
+            expect(parser.parseChordSymbol('^rit.')).toBeNull();
+            expect(parser.parseChordSymbol('Hm')).toBeNull();
+            expect(parser.parseChordSymbol('Cxyz')).toBeNull();
+            expect(parser.parseChordSymbol('Bbmaj7').root).toBe(10);
+        });
+
+        test('acepta los símbolos de acorde en la validación', () => {
+            expect(parser.validate('X:1\nM:4/4\nK:C\n"Am"CDE "G7"FGA').isValid).toBe(true);
+        });
+    });
+    describe('Letra', () => {
+        test('divide las líneas w: en sílabas y marcas de alineación', () => {
+            expect(parser.parseLyrics('Hel-lo dear_ * to~the | a\\-b')).toEqual([
+                { type: 'syllable', text: 'Hel', hyphen: true },
+                { type: 'syllable', text: 'lo', hyphen: false },
+                { type: 'syllable', text: 'dear', hyphen: false },
+                { type: 'hold' },
+                { type: 'skip' },
+                { type: 'syllable', text: 'to the', hyphen: false },
+                { type: 'bar' },
+                { type: 'syllable', text: 'a-b', hyphen: false }
+            ]);
+        });
+
+        test('alinea cada verso con las notas de la música anterior', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\nC D z [EG] F | G A B c |\n' +
+                'w:Hel-lo dear_ | world\nw:Se-cond * ver-\nd4 |\nw:fin\nW:Letra completa');
+            const lyrics = playable(parsed).filter(e => e.type !== 'rest').map(e => e.lyrics);
+            expect(lyrics).toEqual([
+                [{ text: 'Hel', hyphen: true, lineStart: true }, { text: 'Se', hyphen: true, lineStart: true }],
+                [{ text: 'lo', hyphen: false, lineStart: false }, { text: 'cond', hyphen: false, lineStart: false }],
+                [{ text: 'dear', hyphen: false, lineStart: false }, null],
+                [null, { text: 'ver', hyphen: true, lineStart: false }],
+                [{ text: 'world', hyphen: false, lineStart: false }],
+                undefined, undefined, undefined,
+                [{ text: 'fin', hyphen: false, lineStart: true }]
+            ]);
+            expect(parsed.metadata.words).toEqual(['Letra completa']);
+        });
+    });
+    describe('Tempo (Q:)', () => {
+        test('convierte cualquier pulso a negras por minuto', () => {
+            expect(parser.parseTempoField('1/4=120')).toEqual({ bpm: 120, microsecondsPerQuarter: 500000, text: null });
+            expect(parser.parseTempoField('3/8=120').bpm).toBe(180);
+            expect(parser.parseTempoField('1/4 3/8=60').microsecondsPerQuarter).toBe(400000);
+            expect(parser.parseTempoField('100').bpm).toBe(100);
+        });
+
+        test('guarda el texto de tempo y usa la tabla de términos', () => {
+            expect(parser.parseTempoField('"Allegro" 1/4=132')).toEqual({
+                bpm: 132, microsecondsPerQuarter: 454545, text: 'Allegro'
+            });
+            expect(parser.parseTempoField('"Andante"').bpm).toBe(92);
+            expect(parser.parseTempoField('"Allegro con brio"').bpm).toBe(138);
+            expect(parser.parseTempoField('"Rubato"').bpm).toBeNull();
+            expect(new ABCParser({ tempoTerms: { andante: 80 } }).parseTempoField('"Andante"').bpm).toBe(80);
+        });
+
+        test('aplica el tempo completo en la cabecera y en el cuerpo', () => {
+            const parsed = parser.parse('X:1\nM:6/8\nL:1/8\nQ:"Allegro" 3/8=100\nK:C\nCDE FGA|\nQ:"Andante"\nGFE DCB,|');
+            expect([parsed.header.tempo, parsed.header.tempoText]).toEqual([150, 'Allegro']);
+            expect(parsed.body.find(e => e.type === 'tempo')).toEqual({ type: 'tempo', tempo: 92, text: 'Andante' });
+        });
+    });
+    describe('Partes (P:)', () => {
+        test('despliega el orden de partes de la cabecera', () => {
+            expect(parser.parsePartOrder('AABACA').join('')).toBe('AABACA');
+            expect(parser.parsePartOrder('A2B').join('')).toBe('AAB');
+            expect(parser.parsePartOrder('(AB)3').join('')).toBe('ABABAB');
+            expect(parser.parsePartOrder('((AB)2C)2 D.E').join('')).toBe('ABABCABABCDE');
+        });
+
+        test('limita las repeticiones del orden de partes con un aviso', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nP:A10000\nK:C\nP:A\nCDEF|');
+            expect(parsed.header.parts.length).toBe(100);
+            expect(parsed.diagnostics.map(item => [item.code, item.line])).toEqual([['part-limit', 4]]);
+
+            const diagnostics = new Diagnostics();
+            expect(parser.parsePartOrder('((AB)50C)50', diagnostics).length).toBe(200);
+            expect(diagnostics.items.map(item => item.code)).toEqual(['part-limit']);
+        });
+
+        test('marca el inicio de cada parte en todas las voces', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nP:BA\nV:1\nV:2\nK:C\nP:A\nV:1\nC D|\nV:2\nP:A\nE F|\n' +
+                '[P:B]\nV:1\nG A|\nV:2\nB c|');
+            expect(parsed.header.parts).toEqual(['B', 'A']);
+            const parts = parsed.voices.map(voice => voice.body
+                .filter(e => e.type === 'part' || e.type === 'note')
+                .map(e => e.label || e.note).join(''));
+            expect(parts).toEqual(['ACDBGA', 'AEFBBC']);
+        });
+    });
+
+    describe('Duración de los compases', () => {
+        const summary = (parsed) => parsed.bars.map(bar => `${bar.number}:${bar.status}`);
+
+        test('cuenta grupos irregulares, acordes, ritmos punteados y silencios de varios compases', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/8\nK:C\n(3CDE F2 [CEG]4|A>B c<d {g}e2 z2|Z2|C8|]');
+            expect(summary(parsed)).toEqual(['1:complete', '2:complete', '3:complete', '5:complete']);
+            expect(parsed.diagnostics).toEqual([]);
+        });
+
+        test('informa de compases largos y cortos con su número y posición', () => {
+            const parsed = parser.parse('X:1\nM:3/4\nL:1/4\nK:C\nC D E|F G A B|\nc d|e f g|');
+            expect(summary(parsed)).toEqual(['1:complete', '2:long', '3:short', '4:complete']);
+            expect(parsed.diagnostics.map(item => [item.code, item.line, item.column, item.message])).toEqual([
+                ['bar-too-long', 5, 7, 'El compás 2 dura 4/4 y M:3/4 pide 3/4'],
+                ['bar-too-short', 6, 1, 'El compás 3 dura 2/4 y M:3/4 pide 3/4']
+            ]);
+        });
+
+        test('reconoce la anacrusa y el compás final que la completa', () => {
+            const parsed = parser.parse('X:1\nM:6/8\nL:1/8\nK:D\nA|dfa afd|e3 e2:|\n|:f|gfe d2B|A3 A2:|');
+            expect(summary(parsed)).toEqual(['0:pickup', '1:complete', '2:complement', '3:pickup', '4:complete', '5:complement']);
+            expect(parsed.diagnostics.filter(item => item.severity === 'warning')).toEqual([]);
+            expect(parsed.diagnostics[0]).toMatchObject({ code: 'pickup-bar', message: 'Anacrusa de 1/8' });
+        });
+
+        test('el último compás de la voz completa la anacrusa aunque acabe en una barra simple', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\nC|DEFG|ABc|');
+            expect(summary(parsed)).toEqual(['0:pickup', '1:complete', '2:complement']);
+            expect(parsed.diagnostics.filter(item => item.severity === 'warning')).toEqual([]);
+        });
+
+        test('avisa de un compás final corto sin anacrusa', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\nC D E F|G A B|]');
+            expect(summary(parsed)).toEqual(['1:complete', '2:short']);
+        });
+
+        test('comprueba cada voz con su compás', () => {
+            const parsed = parser.parse('X:1\nM:2/4\nL:1/4\nV:1\nV:2\nK:C\nV:1\nC D|E F|\nV:2\nC|[M:3/4]D E F|');
+            expect(parsed.bars.map(bar => `${bar.voice}.${bar.number}:${bar.status}`))
+                .toEqual(['1.1:complete', '1.2:complete', '2.0:pickup', '2.1:complete']);
+            expect(parser.validate('X:1\nM:2/4\nL:1/4\nK:C\nC D E|').isValid).toBe(true);
+        });
+    });
+
+    describe('Transposición (K:)', () => {
+        test('lee transpose= y octave= del campo K:', () => {
+            expect(parser.parseKeyClauses('Bb clef=treble transpose=-2 octave=+1')).toEqual({ transpose: -2, octave: 1 });
+            expect(parser.parseKeyClauses('G')).toEqual({});
+            expect(parser.parseKey('Bb transpose=-2').fifths).toBe(-2);
+        });
+
+        test('aplica el K: de la cabecera a las voces que no tienen los suyos', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nV:1\nV:2 transpose=0 octave=0\nK:C transpose=2 octave=-1\nV:1\nC|\nV:2\nC|');
+            expect(parsed.voices.map(voice => [voice.transpose, voice.body[0].midiNote])).toEqual([[2, 48], [0, 60]]);
+        });
+
+        test('cambia la transposición y la octava desde un K: del cuerpo', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\nC [K:D transpose=-2 octave=1] F|');
+            expect(parsed.body.filter(e => e.type !== 'bar').map(e => e.type === 'note' ? e.midiNote : e.type))
+                .toEqual([60, 'transpose', 'key', 78]);
+            expect(parsed.body.find(e => e.type === 'transpose')).toEqual({ type: 'transpose', transpose: -2 });
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests del transpositor de texto ABC
+ */
+
+const ABCTransposer = require('../src/abcTransposer');
+
+describe('ABCTransposer', () => {
+    let transposer;
+
+    beforeEach(() => {
+        transposer = new ABCTransposer();
+    });
+
+    const body = (result) => result.abc.split('\n').slice(-1)[0];
+
+    describe('Notas', () => {
+        test('mueve las notas por grados de la nueva tonalidad', () => {
+            const result = transposer.transpose('X:1\nM:4/4\nL:1/8\nK:G\nGABc d2e2|', { semitones: 2 });
+            expect(result.abc).toBe('X:1\nM:4/4\nL:1/8\nK:A\nABcd e2f2|');
+            expect([result.semitones, result.fromKey, result.toKey]).toEqual([2, 'G', 'A']);
+        });
+
+        test('reescribe las marcas de octava y las duraciones', () => {
+            const result = transposer.transpose("X:1\nK:C\nB,,2 c'/ b3/2- b|", { semitones: -3 });
+            expect(body(result)).toBe("G,,2 a/ g3/2- g|");
+        });
+
+        test('escribe solo las alteraciones necesarias en la nueva tonalidad', () => {
+            const result = transposer.transpose('X:1\nK:G\nd ^c=c B|F f|', { semitones: -2 });
+            expect(result.abc.split('\n')[1]).toBe('K:F');
+            // Do# pasa a Si natural y Do natural a Si bemol; F# es Mi en Fa mayor
+            expect(body(result)).toBe('c =B_B A|E e|');
+        });
+
+        test('sigue las alteraciones del compás', () => {
+            const result = transposer.transpose('X:1\nK:C\n^F F G|F|', { semitones: 2 });
+            expect(body(result)).toBe('^G G A|G|');
+        });
+
+        test('con K:none escribe todas las alteraciones', () => {
+            const result = transposer.transpose('X:1\nK:none\nCDEF ^FG|', { semitones: 2 });
+            expect(body(result)).toBe('DE^FG ^GA|');
+            expect(result.toKey).toBe('none');
+        });
+
+        test('transpone una octava sin cambiar la armadura', () => {
+            const result = transposer.transpose('X:1\nK:Eb\nE_DC|', { semitones: 12 });
+            expect(result.abc).toBe('X:1\nK:Eb\ne_dc|');
+        });
+    });
+
+    describe('Tonalidades', () => {
+        test('elige la armadura más sencilla para la tónica', () => {
+            expect(transposer.transpose('X:1\nK:C\nC|', { semitones: 1 }).toKey).toBe('Db');
+            expect(transposer.transpose('X:1\nK:C\nC|', { semitones: 6 }).toKey).toBe('F#');
+            expect(transposer.transpose('X:1\nK:Am\nA|', { semitones: -2 }).toKey).toBe('Gm');
+            expect(transposer.transpose('X:1\nK:D dor\nD|', { semitones: 3 }).toKey).toBe('F dor');
+        });
+
+        test('va a la tónica pedida conservando el modo', () => {
+            const result = transposer.transpose('X:1\nM:4/4\nK:Am\nA^GAB c2B2|', { key: 'D' });
+            expect(result.semitones).toBe(5);
+            expect(result.abc).toBe('X:1\nM:4/4\nK:Dm\nd^cde f2e2|');
+            expect(transposer.transpose('X:1\nK:G\nG|', { key: 'Bb' }).abc).toBe('X:1\nK:Bb\nB|');
+        });
+
+        test('reescribe los cambios de tonalidad, las cláusulas y las alteraciones explícitas', () => {
+            const result = transposer.transpose('X:1\nK:G clef=bass\nG [K:Bb] B|\nK:D exp ^f ^c\nd|', { semitones: -2 });
+            expect(result.abc).toBe('X:1\nK:F clef=bass\nF [K:Ab] A|\nK:C exp =e =b\nc|');
+        });
+
+        test('un K: con solo cláusulas no cambia la tonalidad', () => {
+            expect(transposer.transpose('X:1\nK:G\nFGA|[K:clef=bass] FGA|\nK:clef=treble\nF|', { semitones: 3 }).abc)
+                .toBe('X:1\nK:Bb\nABc|[K:clef=bass] ABc|\nK:clef=treble\nA|');
+        });
+
+        test('transpone cada tune de un cancionero a la tónica pedida', () => {
+            const book = 'X:1\nK:G\nG|\n\nX:2\nK:F\nF|';
+            expect(transposer.transpose(book, { key: 'D' }).abc).toBe('X:1\nK:D\nD|\n\nX:2\nK:D\nD|');
+        });
+    });
+
+    describe('Símbolos de acorde y texto', () => {
+        test('transpone la fundamental y el bajo de los acordes', () => {
+            const result = transposer.transpose('X:1\nK:G\n"G"G "D7/F#"F "Em"E "^rit."D|', { semitones: -2 });
+            expect(body(result)).toBe('"F"F "C7/E"E "Dm"D "^rit."C|');
+        });
+
+        test('no usa dobles alteraciones en los acordes', () => {
+            const result = transposer.transpose('X:1\nK:C\n"F#"C|', { key: 'C#' });
+            expect(body(result)).toBe('"G"C|');
+        });
+
+        test('conserva comentarios, campos y espacios', () => {
+            const abc = 'X:1\nT:Canción % título\nK:C % do\n%%MIDI program 40\nC  D\tE % comentario C D\nw:la la la\n\nTexto libre C D';
+            const result = transposer.transpose(abc, { semitones: 2 });
+            expect(result.abc).toBe('X:1\nT:Canción % título\nK:D % do\n%%MIDI program 40\nD  E\tF % comentario C D\nw:la la la\n\nTexto libre C D');
+        });
+    });
+
+    describe('Errores', () => {
+        test('rechaza opciones inválidas con diagnósticos', () => {
+            expect(transposer.transpose('X:1\nK:C\nC|', {}).diagnostics[0].code).toBe('invalid-transpose');
+            expect(transposer.transpose('X:1\nK:C\nC|', { semitones: 'dos' }).success).toBe(false);
+            expect(transposer.transpose('X:1\nK:C\nC|', { key: 'H' }).diagnostics[0].code).toBe('invalid-key');
+            expect(transposer.transpose('', { semitones: 2 }).diagnostics[0].code).toBe('empty-input');
+        });
+
+        test('avisa si no hay K: y devuelve el texto sin cambios', () => {
+            const result = transposer.transpose('X:1\nT:Sin clave', { semitones: 2 });
+            expect(result.success).toBe(true);
+            expect(result.abc).toBe('X:1\nT:Sin clave');
+            expect(result.diagnostics[0].code).toBe('missing-key');
+        });
+    });
+});
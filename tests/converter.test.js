@@ -0,0 +1,168 @@
+/**
+ * Tests unitarios del convertidor
+ */
+
+const ABCToMidiConverter = require('../src/converter');
+
+describe('ABCToMidiConverter', () => {
+    let converter;
+
+    const tuneBook = [
+        '% Cancionero',
+        'L:1/4',
+        '',
+        'X:1',
+        'T:Primera',
+        'M:4/4',
+        'K:G',
+        'FGAB|',
+        '',
+        'Texto libre entre tunes',
+        '',
+        'X:2',
+        'T:Segunda',
+        'M:3/4',
+        'L:1/8',
+        'K:D',
+        'FGABcd|'
+    ].join('\n');
+
+    beforeEach(() => {
+        converter = new ABCToMidiConverter();
+    });
+
+    describe('Cancioneros', () => {
+        test('lista los tunes con número, título, tonalidad y compás', () => {
+            expect(converter.listTunes(tuneBook)).toEqual([
+                { number: 1, title: 'Primera', key: 'G', meter: '4/4' },
+                { number: 2, title: 'Segunda', key: 'D', meter: '3/4' }
+            ]);
+        });
+
+        test('convierte el tune indicado por su número X:', () => {
+            const result = converter.convertTune(tuneBook, 2);
+            expect(result.success).toBe(true);
+            expect(result.metadata.title).toBe('Segunda');
+            expect(result.metadata.noteCount).toBe(6);
+            expect(converter.convert(tuneBook).metadata.title).toBe('Primera');
+        });
+
+        test('informa de un número X: inexistente', () => {
+            const result = converter.convert(tuneBook, { tune: 7 });
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Tune no encontrado');
+        });
+
+        test('convierte todos los tunes', () => {
+            const result = converter.convertAll(tuneBook);
+            expect(result.success).toBe(true);
+            expect(result.tunes.map(tune => [tune.number, tune.success])).toEqual([[1, true], [2, true]]);
+        });
+
+        test('da las líneas de los diagnósticos en el cancionero', () => {
+            const book = tuneBook.replace('FGABcd|', 'FGA#Bcd|');
+            const positions = result => result.diagnostics.map(item => [item.code, item.line, item.column]);
+
+            expect(positions(converter.convertTune(book, 2))).toEqual([['unexpected-character', 17, 4]]);
+            expect(positions(converter.convertAll(book).tunes[1])).toEqual([['unexpected-character', 17, 4]]);
+        });
+    });
+    describe('Karaoke', () => {
+        test('genera un archivo .kar con la opción karaoke', () => {
+            const result = converter.convert('X:1\nT:Canto\nM:4/4\nK:C\nCDEF|\nw:la la la la', { karaoke: true });
+            expect(result.success).toBe(true);
+            expect(result.metadata.format).toBe('kar');
+            expect(result.midiBuffer.toString('latin1')).toContain('Words');
+        });
+    });
+
+    describe('Diagnósticos', () => {
+        test('convierte con avisos en lugar de rechazar la partitura', () => {
+            const result = converter.convert('X:1\nM:4/4\nK:C\nCDEF|G#ABc|');
+            expect(result.success).toBe(true);
+            expect(result.diagnostics).toEqual([
+                expect.objectContaining({ severity: 'warning', code: 'unexpected-character', line: 4, column: 7 }),
+                expect.objectContaining({ severity: 'info', code: 'pickup-bar', line: 4, column: 1 }),
+                expect.objectContaining({ severity: 'info', code: 'pickup-complement', line: 4, column: 6 })
+            ]);
+        });
+
+        test('devuelve los errores como diagnósticos', () => {
+            expect(converter.convert('   ').diagnostics[0]).toMatchObject({ severity: 'error', code: 'empty-input' });
+            expect(converter.convert('X:1\nK:C\nCDE').diagnostics.map(item => item.code)).toContain('missing-meter');
+        });
+
+        test('parsea la partitura una sola vez', () => {
+            const parseTune = jest.spyOn(converter.parser, 'parseTune');
+            expect(converter.convert('X:1\nM:4/4\nL:1/4\nK:C\nCDEF|G#ABc|').diagnostics).toHaveLength(1);
+            expect(parseTune).toHaveBeenCalledTimes(1);
+            converter.timeline('X:1\nM:4/4\nL:1/4\nK:C\nCDEF|');
+            expect(parseTune).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Transposición', () => {
+        test('transpone con options.transpose, también enviado como texto', () => {
+            const result = converter.convert('X:1\nM:4/4\nL:1/4\nK:C\nCDEF|', { transpose: '-2' });
+            expect(result.success).toBe(true);
+            expect(result.metadata.transpose).toBe(-2);
+            // Do mayor un tono abajo: Si bemol mayor, dos bemoles
+            expect(result.midiBuffer.toString('hex')).toContain('ff5902fe00');
+        });
+
+        test('rechaza una transposición que no son semitonos enteros', () => {
+            const result = converter.convert('X:1\nM:4/4\nL:1/4\nK:C\nCDEF|', { transpose: 1.5 });
+            expect(result.success).toBe(false);
+            expect(result.diagnostics[0].code).toBe('invalid-transpose');
+        });
+
+        test('avisa de las notas que quedan fuera del rango MIDI sin rechazar la partitura', () => {
+            const result = converter.convert("X:1\nM:4/4\nL:1/4\nK:C\nc''''' DEF|", { transpose: 5 });
+            expect(result.success).toBe(true);
+            expect(result.diagnostics.map(item => [item.severity, item.code])).toEqual([['warning', 'note-out-of-range']]);
+        });
+    });
+
+    describe('Línea de tiempo', () => {
+        test('sitúa cada nota y cada barra en ticks, segundos y el texto', () => {
+            const result = converter.timeline('X:1\nM:2/4\nL:1/4\nQ:1/4=60\nK:C\nC [EG] | [Q:1/4=120] c2 |]', { ppq: 96 });
+            expect(result.success).toBe(true);
+
+            const { timeline } = result;
+            expect(timeline.tempos).toEqual([
+                { tick: 0, bpm: 60, seconds: 0 },
+                { tick: 192, bpm: 120, seconds: 2 }
+            ]);
+            expect(timeline.endTick).toBe(384);
+            expect(timeline.seconds).toBe(3);
+
+            expect(timeline.notes.map(note => [note.type, note.midiNotes, note.startTick, note.durationTicks,
+                note.startSeconds, note.durationSeconds, note.source.start.column, note.source.end.column])).toEqual([
+                ['note', [60], 0, 96, 0, 1, 1, 2],
+                ['chord', [64, 67], 96, 96, 1, 1, 3, 7],
+                ['note', [72], 192, 192, 2, 1, 22, 24]
+            ]);
+            expect(timeline.notes[0].source.start).toEqual({ line: 6, column: 1, offset: 29 });
+            expect(timeline.bars.map(bar => [bar.bar, bar.startTick, bar.startSeconds, bar.source.start.column])).toEqual([
+                ['|', 192, 2, 8],
+                ['|]', 384, 3, 25]
+            ]);
+        });
+
+        test('sigue el orden de las repeticiones y del tune elegido', () => {
+            const songbook = 'X:1\nM:2/4\nL:1/4\nK:C\nCD|\n\nX:2\nM:2/4\nL:1/4\nK:C\n|:EF:|';
+            const { timeline } = converter.timeline(songbook, { tune: 2, ppq: 96 });
+
+            expect(timeline.notes.map(note => [note.midiNotes[0], note.startTick, note.source.start.column])).toEqual([
+                [64, 0, 3], [65, 96, 4], [64, 192, 3], [65, 288, 4]
+            ]);
+            expect(timeline.notes[0].source.start).toEqual({ line: 11, column: 3, offset: songbook.indexOf('EF') });
+            expect(timeline.seconds).toBe(2);
+        });
+
+        test('devuelve los mismos errores que convert', () => {
+            expect(converter.timeline('').success).toBe(false);
+            expect(converter.timeline('X:1\nM:4/4\nK:C\nC', { tune: 3 }).diagnostics[0].code).toBe('tune-not-found');
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests de los diagnósticos del parser
+ */
+
+const ABCParser = require('../src/abcParser');
+const Diagnostics = require('../src/diagnostics');
+
+describe('Diagnósticos', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new ABCParser();
+    });
+
+    test('guarda gravedad, código, posición y extracto', () => {
+        const diagnostics = new Diagnostics(['X:1', 'CDEF # GABc|']);
+        diagnostics.warning('unexpected-character', 'Carácter inesperado', { line: 2, column: 6 });
+
+        expect(diagnostics.items).toEqual([{
+            severity: 'warning',
+            code: 'unexpected-character',
+            message: 'Carácter inesperado',
+            line: 2,
+            column: 6,
+            excerpt: 'CDEF # GABc|'
+        }]);
+        expect(diagnostics.hasErrors()).toBe(false);
+    });
+
+    test('recorta el extracto de las líneas largas alrededor de la columna', () => {
+        const line = 'C'.repeat(30) + '#' + 'D'.repeat(30);
+        const diagnostics = new Diagnostics([line]);
+        diagnostics.error('unexpected-character', 'Carácter inesperado', { line: 1, column: 31 });
+
+        expect(diagnostics.items[0].excerpt).toBe('…' + 'C'.repeat(20) + '#' + 'D'.repeat(19) + '…');
+    });
+
+    test('salta un carácter desconocido con un aviso y sigue', () => {
+        const result = parser.parse('X:1\nM:4/4\nK:C\nCDEF|\nGA#Bc|');
+
+        expect(result.body.filter(element => element.type === 'note')).toHaveLength(8);
+        expect(result.diagnostics).toEqual([
+            expect.objectContaining({
+                severity: 'warning',
+                code: 'unexpected-character',
+                line: 5,
+                column: 3,
+                excerpt: 'GA#Bc|'
+            }),
+            expect.objectContaining({ severity: 'info', code: 'pickup-bar', line: 4, column: 1 }),
+            expect.objectContaining({ severity: 'info', code: 'pickup-complement', line: 5, column: 1 })
+        ]);
+    });
+
+    test('recupera acordes y adornos sin cerrar en la barra', () => {
+        const result = parser.parse('X:1\nM:4/4\nK:C\n[CEG|{g A|B');
+        const codes = result.diagnostics.map(item => item.code);
+
+        expect(codes).toEqual(['unclosed-chord', 'unclosed-grace', 'bar-too-short']);
+        expect(result.diagnostics[0]).toMatchObject({ line: 4, column: 1 });
+        expect(result.diagnostics[2]).toMatchObject({ line: 4, column: 11 });
+        expect(result.body.filter(element => element.type === 'note').map(note => note.note)).toEqual(['B']);
+    });
+
+    test('ignora los silencios dentro de notas de adorno', () => {
+        const unclosed = parser.parse('X:1\nM:1/4\nL:1/4\nK:C\n{g z|{g A z2|C');
+        expect(unclosed.diagnostics.map(item => [item.code, item.line, item.column])).toEqual([
+            ['rest-in-grace', 5, 4],
+            ['unclosed-grace', 5, 1],
+            ['rest-in-grace', 5, 11],
+            ['unclosed-grace', 5, 6]
+        ]);
+        expect(unclosed.body.map(element => element.type)).toEqual(['bar', 'bar', 'note']);
+
+        const closed = parser.parse('X:1\nM:1/4\nL:1/4\nK:C\n{gz}A|');
+        expect(closed.diagnostics.map(item => item.code)).toEqual(['rest-in-grace']);
+        expect(closed.body.map(element => element.type)).toEqual(['note', 'bar']);
+        expect(closed.body[0].graceNotes.map(note => note.midiNote)).toEqual([79]);
+    });
+
+    test('descarta grupos irregulares, compases y tempos con ceros', () => {
+        const result = parser.parse('X:1\nM:3/0\nQ:1/0=100\nL:1/4\nK:C\n(0abc [M:0/0] [Q:0] d|');
+        expect(result.diagnostics.map(item => [item.code, item.line, item.column])).toEqual([
+            ['invalid-meter', 2, 1],
+            ['invalid-tempo', 3, 1],
+            ['invalid-tuplet', 6, 1],
+            ['invalid-meter', 6, 7],
+            ['invalid-tempo', 6, 15]
+        ]);
+        expect(result.header).toMatchObject({ tempo: 120, timeSignature: { numerator: 4, denominator: 4 } });
+        expect(result.body.filter(element => element.type === 'note').every(note => !note.tuplet)).toBe(true);
+        expect(result.body.filter(element => element.type === 'tempo')).toEqual([]);
+    });
+
+    test('avisa de comillas sin cerrar y corchetes sueltos', () => {
+        const result = parser.parse('X:1\nM:4/4\nK:C\nC]D "Am');
+        expect(result.diagnostics.map(item => item.code)).toEqual(['unexpected-chord-end', 'unclosed-quote', 'bar-too-short']);
+    });
+
+    test('validate separa errores y avisos', () => {
+        const warning = parser.validate('X:1\nM:4/4\nK:C\nC#D');
+        expect(warning.isValid).toBe(true);
+        expect(warning.errors).toEqual([]);
+        expect(warning.warnings).toHaveLength(2);
+
+        const error = parser.validate('X:1\nK:C\nCDE');
+        expect(error.isValid).toBe(false);
+        expect(error.diagnostics.map(item => item.code)).toContain('missing-meter');
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests de la expansión de símbolos de usuario (U:) y macros (m:)
+ */
+
+const MacroExpander = require('../src/macroExpander');
+const ABCParser = require('../src/abcParser');
+const Diagnostics = require('../src/diagnostics');
+
+describe('MacroExpander', () => {
+    let expander;
+    let diagnostics;
+
+    // Expande un tune cuya cabecera termina en la línea K:
+    const expand = (abc) => {
+        const lines = abc.split('\n');
+        diagnostics = new Diagnostics(lines);
+        return expander.expandLines(lines, lines.findIndex(line => line.startsWith('K:')) + 1, diagnostics);
+    };
+
+    beforeEach(() => {
+        expander = new MacroExpander();
+    });
+
+    describe('Símbolos (U:)', () => {
+        test('sustituye las letras definidas por su decoración', () => {
+            expect(expand('X:1\nU:W=!fermata!\nU: T = !mordent!\nK:C\nWC TD ~E')).toEqual(['!fermata!C !mordent!D ~E']);
+        });
+
+        test('!nil! borra un símbolo', () => {
+            expect(expand('X:1\nU:T=!nil!\nK:C\nTC')).toEqual(['C']);
+        });
+
+        test('las definiciones del cuerpo valen desde su línea', () => {
+            expect(expand('X:1\nK:C\nTC|\nU:T=+fermata+\nTC|')).toEqual(['TC|', 'U:T=+fermata+', '+fermata+C|']);
+        });
+
+        test('no expande textos, decoraciones, campos ni comentarios', () => {
+            expect(expand('X:1\nU:W=!coda!\nU:r=!fermata!\nK:C\n"^Wr" !trill!C [r:W] W % W r')).toEqual([
+                '"^Wr" !trill!C [r:W] !coda! % W r'
+            ]);
+        });
+    });
+
+    describe('Macros (m:)', () => {
+        test('sustituye las macros estáticas', () => {
+            expect(expand('X:1\nm: ~G3 = G{A}G{F}G\nK:G\n~G3 ~A3')).toEqual(['G{A}G{F}G ~A3']);
+        });
+
+        test('las macros con n se transponen a cada nota', () => {
+            expect(expand('X:1\nm: ~n2 = (3o/n/m/ n\nK:C\n~G2 ~b2 ~C,2')).toEqual([
+                "(3A/G/F/ G (3c'/b/a/ b (3D,/C,/B,,/ C,"
+            ]);
+        });
+
+        test('una macro puede usar otras', () => {
+            expect(expand('X:1\nm: ~n = !roll!n\nm: ~n4 = ~n3 n\nK:C\n~E4')).toEqual(['!roll!E3 E']);
+        });
+
+        test('anota de qué tramo de la línea sale cada carácter', () => {
+            const lines = ['X:1', 'U:W=!p!', 'K:C', 'WC % W', 'D'];
+            const origins = [];
+            expect(expander.expandLines(lines, 3, new Diagnostics(lines), origins)).toEqual(['!p!C % W', 'D']);
+            expect(origins[3].map(origin => [origin.start, origin.end])).toEqual([
+                [0, 1], [0, 1], [0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6]
+            ]);
+            expect(origins[4]).toBeUndefined();
+        });
+    });
+
+    describe('Diagnósticos', () => {
+        test('quita las macros recursivas con un aviso', () => {
+            expect(expand('X:1\nm: ab = c ba\nm: ba = ab\nU:W=V\nU:V=W\nK:C\nab W|')).toEqual(['c  |']);
+            expect(diagnostics.items.map(item => [item.code, item.line, item.column])).toEqual([
+                ['recursive-macro', 7, 1],
+                ['recursive-macro', 7, 4]
+            ]);
+        });
+
+        test('avisa de los símbolos sin definir y de las definiciones inválidas', () => {
+            expect(expand('X:1\nU:WW=!trill!\nm:~G3\nK:C\nC J D')).toEqual(['C  D']);
+            expect(diagnostics.items.map(item => [item.code, item.line, item.column])).toEqual([
+                ['invalid-macro', 2, 1],
+                ['invalid-macro', 3, 1],
+                ['unknown-macro', 5, 3]
+            ]);
+        });
+
+        test('el parser expande antes de dividir en tokens', () => {
+            const parsed = new ABCParser().parse('X:1\nM:2/4\nL:1/8\nU:W=!fermata!\nm: ~n2 = (3o/n/m/ n\nK:C\nW~G2 C2|');
+            const notes = parsed.body.filter(element => element.type === 'note');
+            expect(notes.map(note => note.midiNote)).toEqual([69, 67, 65, 67, 60]);
+            expect(notes[0].tuplet).toEqual({ p: 3, q: 2, r: 3 });
+            expect(notes[0].decorations).toEqual(['fermata']);
+            expect(parsed.diagnostics).toEqual([]);
+        });
+
+        test('los avisos dan la columna del texto original', () => {
+            const parsed = new ABCParser().parse('X:1\nM:4/4\nL:1/4\nU:W=!fermata!\nK:C\nWC#DEF|W G|');
+            expect(parsed.diagnostics.map(item => [item.code, item.line, item.column])).toEqual([
+                ['unexpected-character', 6, 3],
+                ['bar-too-short', 6, 10]
+            ]);
+            expect(parsed.bars[1]).toMatchObject({ line: 6, column: 10 });
+        });
+    });
+});
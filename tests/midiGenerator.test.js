@@ -0,0 +1,462 @@
+/**
+ * Tests unitarios del generador MIDI
+ */
+
+const ABCParser = require('../src/abcParser');
+const MidiGenerator = require('../src/midiGenerator');
+const Fraction = require('../src/fraction');
+
+describe('MidiGenerator', () => {
+    let parser;
+    let generator;
+
+    // Línea de tiempo de un fragmento de música con los campos indicados
+    const timelineOf = (body, options = {}, fields = 'M:4/4\nL:1/4\nK:C') => {
+        const parsed = parser.parse(`X:1\n${fields}\n${body}`);
+        return generator.buildTimeline(parsed.body, parsed.header, options);
+    };
+    const placed = (timeline) => timeline.events.map(e => [e.tick, e.duration, e.midiNote]);
+
+    beforeEach(() => {
+        parser = new ABCParser();
+        generator = new MidiGenerator();
+    });
+
+    describe('Duraciones en ticks', () => {
+        test('convierte cualquier fracción de redonda en ticks exactos', () => {
+            expect(generator.durationToTicks(new Fraction(1, 4)).toString()).toBe('480');
+            expect(generator.durationToTicks(new Fraction(3, 16)).toString()).toBe('360');
+            expect(generator.durationToTicks(new Fraction(1, 12), 128).toString()).toBe('128/3');
+        });
+
+        test('genera un archivo MIDI para duraciones arbitrarias', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/8\nK:C\nC>D E/F/G3/2 C//');
+            const midi = generator.generate(parsed);
+            expect(midi.subarray(0, 4).toString()).toBe('MThd');
+        });
+    });
+
+    describe('Línea de tiempo', () => {
+        const note = (midiNote, duration, extra = {}) => ({
+            type: 'note', midiNote, duration: Fraction.from(duration), ...extra
+        });
+
+        test('coloca cada nota en su tick absoluto con el PPQ indicado', () => {
+            const timeline = generator.buildTimeline([note(60, '1/4'), note(62, '1/8')], {}, { ppq: 96, gate: 1 });
+            expect(timeline.ppq).toBe(96);
+            expect(placed(timeline)).toEqual([[0, 96, 60], [96, 48, 62]]);
+            expect(timeline.endTick).toBe(144);
+        });
+
+        test('los silencios desplazan las notas siguientes', () => {
+            const rest = { type: 'rest', duration: new Fraction(1, 4) };
+            const timeline = generator.buildTimeline([note(60, '1/4'), rest, note(62, '1/4'), rest], {}, { gate: 1 });
+            expect(placed(timeline)).toEqual([[0, 480, 60], [960, 480, 62]]);
+            expect(timeline.endTick).toBe(1920);
+        });
+
+        test('las notas de un acorde empiezan en el mismo tick', () => {
+            const chord = { type: 'chord', duration: new Fraction(1, 2), notes: [note(60, '1/2'), note(64, '1/2')] };
+            const timeline = generator.buildTimeline([chord, note(67, '1/4')], {}, { gate: 1 });
+            expect(placed(timeline)).toEqual([[0, 960, 60], [0, 960, 64], [960, 480, 67]]);
+        });
+
+        test('las notas de adorno toman su tiempo de la nota principal', () => {
+            const timeline = generator.buildTimeline([note(60, '1/4', { graceNotes: [note(62, '1/8')] })], {}, { gate: 1 });
+            expect(placed(timeline)).toEqual([[0, 60, 62], [60, 420, 60]]);
+        });
+
+        test('no acumula error de redondeo en duraciones irregulares', () => {
+            const triplet = [note(60, '1/12'), note(62, '1/12'), note(64, '1/12'), note(65, '1/4')];
+            const timeline = generator.buildTimeline(triplet, {}, { ppq: 128 });
+            expect(placed(timeline).map(([tick]) => tick)).toEqual([0, 43, 85, 128]);
+        });
+
+        test('escribe la resolución en la cabecera del archivo', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nK:C\nCDEF');
+            const midi = generator.generate(parsed, { ppq: 960 });
+            expect(midi.readUInt16BE(12)).toBe(960);
+        });
+    });
+
+    describe('Silencios', () => {
+        test('convierte los silencios parseados en silencio real', () => {
+            const parsed = parser.parse('X:1\nM:2/4\nL:1/4\nK:C\nC z | Z | D x');
+            const timeline = generator.buildTimeline(parsed.body, parsed.header);
+            expect(timeline.events.map(e => e.tick)).toEqual([0, 1920]);
+            expect(timeline.endTick).toBe(2880);
+        });
+    });
+
+    describe('Acordes', () => {
+        test('las notas de un acorde parseado suenan a la vez', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\n[CEG]2 c');
+            const timeline = generator.buildTimeline(parsed.body, parsed.header);
+            expect(timeline.events.map(e => [e.tick, e.midiNote])).toEqual([[0, 60], [0, 64], [0, 67], [960, 72]]);
+        });
+    });
+
+    describe('Ligaduras', () => {
+
+        test('las notas destacadas suenan un poco menos que su duración', () => {
+            expect(placed(timelineOf('C D'))).toEqual([[0, 432, 60], [480, 432, 62]]);
+        });
+
+        test('funde las notas ligadas en una sola nota, también tras la barra', () => {
+            expect(placed(timelineOf('C2-C D'))).toEqual([[0, 1392, 60], [1440, 432, 62]]);
+            expect(placed(timelineOf('^c-|c'))).toEqual([[0, 912, 73]]);
+        });
+
+        test('liga solo las notas marcadas dentro de un acorde', () => {
+            expect(placed(timelineOf('[C-E][CE]'))).toEqual([[0, 912, 60], [0, 432, 64], [480, 432, 64]]);
+        });
+
+        test('una ligadura hacia otra altura no alarga la nota', () => {
+            expect(placed(timelineOf('C-D'))).toEqual([[0, 480, 60], [480, 432, 62]]);
+        });
+
+        test('las ligaduras de expresión pueden sonar en legato', () => {
+            expect(placed(timelineOf('(CD) E'))).toEqual([[0, 432, 60], [480, 432, 62], [960, 432, 64]]);
+            expect(placed(timelineOf('(CD) E', { legato: 'full' }))).toEqual([[0, 480, 60], [480, 432, 62], [960, 432, 64]]);
+            expect(placed(timelineOf('(CD) E', { legato: 'overlap' }))).toEqual([[0, 510, 60], [480, 432, 62], [960, 432, 64]]);
+        });
+    });
+
+    describe('Grupos irregulares', () => {
+        test('las notas del grupo suman exactamente los tiempos que ocupan', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/8\nK:C\n(5CDEFG A');
+            const timeline = generator.buildTimeline(parsed.body, parsed.header, { ppq: 128 });
+            expect(timeline.events.map(e => e.tick)).toEqual([0, 26, 51, 77, 102, 128]);
+        });
+    });
+
+    describe('Repeticiones', () => {
+        test('la línea de tiempo sigue el orden desplegado', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\n|: C :| D');
+            const timeline = generator.buildTimeline(parsed.body, parsed.header);
+            expect(timeline.events.map(e => [e.tick, e.midiNote])).toEqual([[0, 60], [480, 60], [960, 62]]);
+            expect(generator.buildTimeline(parsed.body, parsed.header, { expandRepeats: false }).events).toHaveLength(2);
+        });
+    });
+
+    describe('Voces', () => {
+        const choir = 'X:1\nM:4/4\nL:1/4\nV:S name="Soprano"\nV:B name="Bajo" clef=bass transpose=-12\nK:C\n' +
+            'V:S\nc d e f |\nV:B\nz2 C D |';
+
+        test('genera una pista por voz alineada desde el principio', () => {
+            const parsed = parser.parse(choir);
+            const tracks = generator.buildVoiceTracks(parsed);
+            expect(tracks).toHaveLength(2);
+            
+            const midi = generator.generate(parsed);
+            expect(midi.readUInt16BE(8)).toBe(1);
+            expect(midi.readUInt16BE(10)).toBe(2);
+        });
+
+        test('cada voz suena en su canal con su transpose', () => {
+            const parsed = parser.parse(choir);
+            const [soprano, bass] = parsed.voices;
+            const timeline = generator.buildTimeline(bass.body, parsed.header, { channel: 1, transpose: bass.transpose });
+            expect(timeline.events.map(e => [e.tick, e.midiNote, e.channel])).toEqual([[960, 48, 1], [1440, 50, 1]]);
+            expect(generator.voiceChannel(soprano, 0)).toBe(0);
+            expect(generator.voiceChannel(bass, 9)).toBe(10);
+            expect(generator.voiceChannel({ clef: 'perc' }, 2)).toBe(9);
+        });
+
+        test('convertMultiTrack asigna un instrumento a cada voz', () => {
+            const tracks = generator.buildVoiceTracks(parser.parse(choir), ['violin', 'bass']);
+            const programs = tracks.map(track => track.events.find(e => e.type === 'program').data.slice(-2));
+            expect(programs).toEqual([[0xc0, 40], [0xc1, 32]]);
+        });
+    });
+
+    describe('Cambios de tonalidad, compás y tempo', () => {
+        const tune = 'X:1\nM:4/4\nL:1/4\nK:C\nC D [K:Am] E [M:3/4] F |\nQ:1/4=60\nG|';
+
+        test('coloca los cambios en su tick de la línea de tiempo', () => {
+            const parsed = parser.parse(tune);
+            const timeline = generator.buildTimeline(parsed.body, parsed.header);
+            const changes = timeline.events.filter(e => e.type !== 'note').map(e => [e.type, e.tick]);
+            expect(changes).toEqual([['key', 960], ['meter', 1440], ['tempo', 1920]]);
+        });
+
+        test('escribe los eventos meta con su delta', () => {
+            const midi = generator.generate(parser.parse(tune)).toString('hex');
+            // Armadura La menor, compás 3/4 y tempo de 60 BPM, 48 ticks tras el note off anterior
+            expect(midi).toContain('30ff59020001');
+            expect(midi).toContain('30ff580403021808');
+            expect(midi).toContain('30ff51030f4240');
+        });
+
+        test('escribe el tempo completo y su texto como marcador', () => {
+            const parsed = parser.parse('X:1\nM:6/8\nL:1/8\nQ:"Allegro" 3/8=120\nK:C\nCDE FGA|\nQ:"Lento"\nGFE DCB,|');
+            const midi = generator.generate(parsed).toString('hex');
+            // 180 negras por minuto: 333333 microsegundos por negra
+            expect(midi).toContain('ff5103051615');
+            expect(midi).toContain('ff0607' + Buffer.from('Allegro').toString('hex'));
+            // Lento: 52 negras por minuto
+            expect(midi).toContain('ff5103119b36');
+            expect(midi).toContain('ff0605' + Buffer.from('Lento').toString('hex'));
+        });
+
+        test('el mapa de tempo da el segundo de cada tick', () => {
+            const parsed = parser.parse('X:1\nM:2/4\nL:1/4\nQ:1/4=60\nK:C\nCD|\nV:2\nz2|[Q:1/4=120]EF|');
+            const playback = generator.buildPlayback(parsed, { ppq: 96 });
+            expect(playback.tempos).toEqual([
+                { tick: 0, bpm: 60, seconds: 0 },
+                { tick: 192, bpm: 120, seconds: 2 }
+            ]);
+            expect(generator.ticksToSeconds(96, playback.tempos, 96)).toBe(1);
+            expect(generator.ticksToSeconds(240, playback.tempos, 96)).toBe(2.25);
+            expect(playback.endTick).toBe(384);
+            expect(playback.seconds).toBe(3);
+        });
+
+        test('played recoge notas, acordes y barras en el orden en que suenan', () => {
+            const parsed = parser.parse('X:1\nM:2/4\nL:1/4\nK:C\n|:C [EG]:| z c|');
+            const timeline = generator.buildTimeline(parsed.body, parsed.header, { ppq: 96, transpose: 2 });
+            expect(timeline.played.map(step => [step.element.type, step.tick, step.duration, step.midiNotes])).toEqual([
+                ['bar', 0, 0, undefined],
+                ['note', 0, 96, [62]], ['chord', 96, 96, [66, 69]], ['bar', 192, 0, undefined],
+                ['note', 192, 96, [62]], ['chord', 288, 96, [66, 69]], ['bar', 384, 0, undefined],
+                ['note', 480, 96, [74]], ['bar', 576, 0, undefined]
+            ]);
+            expect(timeline.played[1].element).toBe(timeline.played[4].element);
+        });
+    });
+
+    describe('Dinámicas y articulaciones', () => {
+        const velocities = (timeline) => timeline.events.map(e => e.velocity);
+
+        test('las dinámicas fijan la velocidad desde su nota', () => {
+            expect(velocities(timelineOf('C !p! D E !ff! F'))).toEqual([100, 60, 60, 120]);
+        });
+
+        test('los reguladores cambian la velocidad gradualmente', () => {
+            expect(velocities(timelineOf('!p! C !crescendo(! D E F !crescendo)! !f! G'))).toEqual([60, 60, 75, 90, 105]);
+            expect(velocities(timelineOf('!f! !diminuendo(! C D !diminuendo)! E F'))).toEqual([105, 93, 80, 80]);
+        });
+
+        test('acento, staccato, tenuto y calderón', () => {
+            const timeline = timelineOf('!mf! LC .D !tenuto!E HF G');
+            expect(velocities(timeline)).toEqual([110, 90, 90, 90, 90]);
+            expect(timeline.events.map(e => [e.tick, e.duration])).toEqual([
+                [0, 432], [480, 240], [960, 480], [1440, 960], [2400, 432]
+            ]);
+        });
+    });
+
+    describe('Adornos', () => {
+        const ornamentsOf = (body, options = {}) =>
+            timelineOf(body, { gate: 1, ...options }, 'M:4/4\nL:1/8\nQ:1/4=120\nK:G');
+
+        test('la acciaccatura roba su tiempo a la nota principal', () => {
+            expect(placed(ornamentsOf('{/g}A2 B'))).toEqual([[0, 60, 79], [60, 420, 69], [480, 240, 71]]);
+        });
+
+        test('elige la duración de las notas del adorno según el tempo', () => {
+            expect(generator.ornamentLength(120).toString()).toBe('1/24');
+            expect(generator.ornamentLength(60).toString()).toBe('1/48');
+        });
+
+        test('despliega trinos, rolls y mordentes en notas', () => {
+            expect(placed(ornamentsOf('TE2'))).toEqual([
+                [0, 80, 64], [80, 80, 66], [160, 80, 64], [240, 80, 66], [320, 160, 64]
+            ]);
+            expect(placed(ornamentsOf('~B3')).map(e => e[2])).toEqual([71, 72, 71, 69, 71]);
+            expect(placed(ornamentsOf('Mc2')).map(e => e[2])).toEqual([72, 71, 72]);
+        });
+
+        test('deja la nota sola si es demasiado corta para el adorno', () => {
+            expect(placed(ornamentsOf('!turn!d'))).toEqual([[0, 240, 74]]);
+        });
+
+        test('con ornaments: false omite adornos y notas de adorno', () => {
+            expect(placed(ornamentsOf('{g}A2 TE2', { ornaments: false }))).toEqual([[0, 480, 69], [480, 480, 64]]);
+        });
+    });
+    describe('Directivas MIDI', () => {
+        const header = 'X:1\nM:4/4\nL:1/4\n';
+        const programs = (tracks) => tracks.map(track =>
+            track.events.filter(e => e.type === 'program').map(e => e.data.slice(-2)));
+
+        test('program y channel eligen instrumento y canal de cada voz', () => {
+            const parsed = parser.parse(`${header}%%MIDI program 73\nV:1\nV:2\n%%MIDI channel 5\n` +
+                '%%MIDI program 32\nK:C\nV:1\nC D E F|\nV:2\nC, D, E, F,|');
+            expect(programs(generator.buildVoiceTracks(parsed))).toEqual([[[0xc0, 73]], [[0xc4, 32]]]);
+            // La lista de instrumentos explícita tiene prioridad
+            expect(programs(generator.buildVoiceTracks(parsed, ['violin']))).toEqual([[[0xc0, 40]], [[0xc4, 40]]]);
+        });
+
+        test('cambia instrumento y transporte desde el cuerpo', () => {
+            const parsed = parser.parse(`${header}%%MIDI transpose 12\nK:C\nC D\n%%MIDI program 40\n%%MIDI transpose -1\nE F|`);
+            const timeline = generator.buildVoiceTracks(parsed);
+            expect(programs(timeline)).toEqual([[[0xc0, 0], [0xc0, 40]]]);
+            const events = generator.buildTimeline(parsed.voices[0].body, parsed.header, { midi: parsed.header.midi }).events;
+            expect(events.filter(e => e.type === 'note').map(e => e.midiNote)).toEqual([72, 74, 63, 64]);
+            expect(events.find(e => e.type === 'program')).toMatchObject({ tick: 960, program: 40, channel: 0 });
+        });
+
+        test('beat acentúa la primera nota y los tiempos fuertes', () => {
+            const parsed = parser.parse(`${header}%%MIDI beat 110 95 70 2\nK:C\nC D E F/G/ | !p! G A B c|`);
+            const events = generator.buildTimeline(parsed.body, parsed.header, { midi: parsed.header.midi }).events;
+            expect(events.map(e => e.velocity)).toEqual([110, 70, 95, 70, 70, 100, 60, 85, 60]);
+        });
+
+        test('el bordón suena entre droneon y droneoff en su propio canal', () => {
+            const parsed = parser.parse(`${header}%%MIDI drone 71 50\nK:C\n%%MIDI droneon\nC D|\n%%MIDI droneoff\nE F|`);
+            const events = generator.buildTimeline(parsed.body, parsed.header, { midi: parsed.header.midi }).events;
+            const drone = events.filter(e => e.channel === generator.droneChannel);
+            expect(drone.map(e => [e.type, e.tick, e.duration, e.midiNote, e.velocity])).toEqual([
+                ['program', 0, undefined, undefined, undefined],
+                ['note', 0, 960, 50, 80],
+                ['note', 0, 960, 33, 80]
+            ]);
+            expect(drone[0].program).toBe(71);
+        });
+    });
+    describe('Acompañamiento', () => {
+        const accompanimentOf = (abc, options) => {
+            const parsed = parser.parse(abc);
+            const timeline = generator.buildTimeline(parsed.body, parsed.header, { midi: parsed.header.midi });
+            return generator.buildAccompaniment(timeline, parsed.header.midi, options);
+        };
+        const onsets = (part) => part.timeline.events.map(e => [e.tick, e.midiNote]);
+
+        test('toca bajo y acorde según el patrón del compás', () => {
+            const [bass, chord] = accompanimentOf('X:1\nM:3/4\nL:1/4\nK:C\n"C"c d e | "G7/B"d2 "Am"c |');
+            expect([bass.name, bass.program, bass.channel]).toEqual(['Bajo', 32, 14]);
+            expect(onsets(bass)).toEqual([[0, 36], [1440, 47]]);
+            expect(onsets(chord)).toEqual([
+                [480, 48], [480, 52], [480, 55], [960, 48], [960, 52], [960, 55],
+                [1920, 55], [1920, 59], [1920, 62], [1920, 65], [2400, 57], [2400, 60], [2400, 64]
+            ]);
+        });
+
+        test('la anacrusa se alinea con el final del compás', () => {
+            const [bass, chord] = accompanimentOf('X:1\nM:2/4\nL:1/4\nK:C\n"G"G | "C"c e |');
+            expect(onsets(bass)).toEqual([[480, 36]]);
+            expect(onsets(chord)).toEqual([[0, 55], [0, 59], [0, 62], [960, 48], [960, 52], [960, 55]]);
+        });
+
+        test('usa %%MIDI gchord, chordprog y bassvol y las opciones', () => {
+            const abc = 'X:1\nM:4/4\nL:1/4\n%%MIDI gchord f2G2\n%%MIDI chordprog 0\n%%MIDI bassvol 90\nK:C\n"Dm"d4 |';
+            const [bass, chord] = accompanimentOf(abc, { chord: { octave: 4, velocity: 50 } });
+            expect(bass.timeline.events.map(e => [e.tick, e.midiNote, e.velocity])).toEqual([[0, 38, 90]]);
+            expect(chord.program).toBe(0);
+            expect(chord.timeline.events.map(e => [e.tick, e.midiNote, e.velocity])).toEqual([[960, 50, 50]]);
+        });
+
+        test('añade las pistas de bajo y acordes al archivo', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\n"C"c d e f |');
+            expect(generator.buildVoiceTracks(parsed)).toHaveLength(3);
+            expect(generator.buildVoiceTracks(parsed, null, { accompaniment: false })).toHaveLength(1);
+            expect(generator.generate(parsed).readUInt16BE(10)).toBe(3);
+        });
+    });
+    describe('Letra', () => {
+        const song = 'X:1\nT:Canto\nM:4/4\nL:1/4\nK:C\n|:{g}C D E F:|\nw:Hel-lo dear world\nw:Se-cond _ out\n';
+
+        test('coloca cada sílaba al inicio de su nota y cambia de verso al repetir', () => {
+            const parsed = parser.parse(song);
+            const lyrics = generator.buildTimeline(parsed.body, parsed.header).events.filter(e => e.type === 'lyric');
+            expect(lyrics.map(e => [e.tick, e.text])).toEqual([
+                [60, 'Hel'], [480, 'lo'], [960, 'dear'], [1440, 'world'],
+                [1980, 'Se'], [2400, 'cond'], [3360, 'out']
+            ]);
+        });
+
+        test('escribe eventos lyric (FF 05) en la pista de la voz', () => {
+            const midi = generator.generate(parser.parse(song)).toString('hex');
+            expect(midi).toContain('ff0504' + Buffer.from('Hel-').toString('hex'));
+            expect(midi).toContain('ff0506' + Buffer.from('world ').toString('hex'));
+        });
+
+        test('con karaoke escribe la letra en la pista de texto Words', () => {
+            const parsed = parser.parse(song);
+            const lyrics = generator.buildTimeline(parsed.body, parsed.header).events.filter(e => e.type === 'lyric');
+            expect(generator.karaokeText(lyrics, parsed.header).map(e => e.text)).toEqual([
+                '@LENGL', '@TCanto', '\\Hel', 'lo', ' dear', ' world', '/Se', 'cond', ' out'
+            ]);
+
+            const midi = generator.generate(parsed, { karaoke: true });
+            expect(midi.readUInt16BE(10)).toBe(2);
+            expect(midi.toString('latin1')).toContain('@KMIDI KARAOKE FILE');
+            expect(midi.toString('hex')).not.toContain('ff05');
+        });
+    });
+    describe('Partes', () => {
+        const tune = 'X:1\nM:4/4\nL:1/4\nP:A2B\nK:C\nP:A\n|:C D:|\nP:B\nE F|';
+
+        test('toca las partes en el orden de P: con sus repeticiones', () => {
+            const parsed = parser.parse(tune);
+            const events = generator.buildTimeline(parsed.body, parsed.header).events;
+            expect(events.map(e => e.type === 'marker' ? e.text : e.midiNote)).toEqual([
+                'A', 60, 62, 60, 62, 'A', 60, 62, 60, 62, 'B', 64, 65
+            ]);
+            expect(events.filter(e => e.type === 'marker').map(e => e.tick)).toEqual([0, 1920, 3840]);
+        });
+
+        test('escribe un marcador al inicio de cada parte', () => {
+            const midi = generator.generate(parser.parse(tune)).toString('hex');
+            expect(midi.split('ff060141')).toHaveLength(3);
+            expect(midi.split('ff060142')).toHaveLength(2);
+        });
+
+        test('con parts: false toca la música en el orden escrito', () => {
+            const parsed = parser.parse(tune);
+            const events = generator.buildTimeline(parsed.body, parsed.header, { parts: false }).events;
+            expect(events.filter(e => e.type === 'note').map(e => e.midiNote)).toEqual([60, 62, 60, 62, 64, 65]);
+        });
+    });
+
+    describe('Transposición', () => {
+        const notesOf = (timeline) => timeline.events.filter(e => e.type === 'note').map(e => e.midiNote);
+
+        test('calcula la armadura de la tonalidad transpuesta', () => {
+            expect(generator.transposeFifths(0, 2)).toBe(2);
+            expect(generator.transposeFifths(-1, 2)).toBe(1);
+            expect(generator.transposeFifths(-3, -3)).toBe(0);
+            expect(generator.transposeFifths(4, 2)).toBe(6);
+            expect(generator.transposeFifths(0, 1)).toBe(-5);
+            expect(generator.transposeFifths(7, 12)).toBe(7);
+        });
+
+        test('transpone las notas y escribe la armadura nueva', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:F\nF G A B|');
+            expect(notesOf(generator.buildTimeline(parsed.body, parsed.header, { transpose: 2 }))).toEqual([67, 69, 71, 72]);
+            // Fa mayor una segunda arriba: Sol mayor, un sostenido
+            expect(generator.generate(parsed, { transpose: 2 }).toString('hex')).toContain('00ff59020100');
+        });
+
+        test('aplica transpose= de K: y repite la armadura al cambiar la transposición', () => {
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C transpose=-3\nC D|[K:transpose=0] C|');
+            const timeline = generator.buildTimeline(parsed.voices[0].body, parsed.header, {
+                voiceTranspose: parsed.voices[0].transpose
+            });
+            expect(notesOf(timeline)).toEqual([57, 59, 60]);
+            expect(timeline.events.filter(e => e.type === 'key').map(e => [e.tick, e.transpose])).toEqual([[960, 0]]);
+            const midi = generator.generate(parsed).toString('hex');
+            expect(midi).toContain('00ff59020300');
+            expect(midi).toContain('ff59020000');
+        });
+
+        test('toca en la octava más cercana las notas que salen del rango MIDI', () => {
+            expect([generator.fitNoteRange(130), generator.fitNoteRange(-3), generator.fitNoteRange(64)]).toEqual([118, 9, 64]);
+            const parsed = parser.parse("X:1\nM:4/4\nL:1/4\nK:C\nc''''' C,,,,,|");
+            expect(notesOf(generator.buildTimeline(parsed.body, parsed.header, { transpose: 5 }))).toEqual([125, 5]);
+            expect(generator.validateMidiNotes(parsed.body, 5)).toEqual({
+                isValid: true,
+                errors: [],
+                warnings: ['Nota 1: MIDI note 137 fuera de rango (0-127): suena como 125']
+            });
+        });
+
+        test('transpone también el acompañamiento', () => {
+            const parsed = parser.parse('X:1\nM:2/4\nL:1/4\nK:C\n"C"C D|');
+            const timeline = generator.buildTimeline(parsed.body, parsed.header, { transpose: 2 });
+            const [bass] = generator.buildAccompaniment(timeline);
+            expect(bass.timeline.events[0].midiNote).toBe(38);
+        });
+    });
+});
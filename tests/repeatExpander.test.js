@@ -0,0 +1,102 @@
+/**
+ * Tests unitarios del despliegue de repeticiones
+ */
+
+const ABCParser = require('../src/abcParser');
+const RepeatExpander = require('../src/repeatExpander');
+const Diagnostics = require('../src/diagnostics');
+
+describe('RepeatExpander', () => {
+    let parser;
+    let expander;
+
+    // Devuelve las letras de las notas en el orden en que suenan
+    const playOrder = (body) => {
+        const parsed = parser.parse(`X:1\nM:4/4\nL:1/4\nK:C\n${body}`);
+        return expander.expand(parsed.body)
+            .filter(element => element.type === 'note')
+            .map(note => note.note.toLowerCase())
+            .join('');
+    };
+
+    beforeEach(() => {
+        parser = new ABCParser();
+        expander = new RepeatExpander();
+    });
+
+    describe('Barras de repetición', () => {
+        test('repite desde el principio o desde |:', () => {
+            expect(playOrder('a |: b :| c')).toBe('abbc');
+            expect(playOrder('|: a :| b')).toBe('aab');
+        });
+
+        test(':: cierra una repetición y abre la siguiente', () => {
+            expect(playOrder('a |: b :: c :| d')).toBe('abbccd');
+        });
+
+        test('tras una repetición, el siguiente :| vuelve a la barra anterior', () => {
+            expect(playOrder('a b:|\nc d:|')).toBe('ababcdcd');
+            expect(playOrder('|: a :|: b :| c :|')).toBe('aabbcc');
+            expect(playOrder('a |: b :| c :| d')).toBe('abbccd');
+            expect(playOrder('|: c d :|1 e e :|2 f f |]')).toBe('cdcdeeff');
+        });
+
+        test('corta con un aviso una música desplegada demasiado larga', () => {
+            const diagnostics = new Diagnostics();
+            const parsed = parser.parse('X:1\nM:4/4\nL:1/4\nK:C\n|: a |1,2,3,4,5,6,7,8,9 b :|10 c |]');
+            expander.maxElements = 20;
+
+            expect(expander.expand(parsed.body, diagnostics).length).toBe(20);
+            expect(diagnostics.items.map(item => item.code)).toEqual(['repeat-limit']);
+        });
+    });
+
+    describe('Finales alternativos', () => {
+        test('toca cada final en su pasada', () => {
+            expect(playOrder('|: a |1 b :|2 c |]')).toBe('abac');
+            expect(playOrder('|: a [1 b :| [2 c |]')).toBe('abac');
+        });
+
+        test('admite más de dos finales y listas de números', () => {
+            expect(playOrder('|: a |1 b :|2 c :|3 d |]')).toBe('abacad');
+            expect(playOrder('|: a |1,3 b :|2 c :|4 d |]')).toBe('abacabad');
+        });
+    });
+
+    describe('Navegación', () => {
+        test('D.C. vuelve al principio y termina en Fine', () => {
+            expect(playOrder('a b !fine! | c d !D.C.! |]')).toBe('abcdab');
+        });
+
+        test('D.S. vuelve al segno', () => {
+            expect(playOrder('a S b !fine! | c !D.S.! |]')).toBe('abcb');
+        });
+
+        test('D.C. al Coda salta a la coda', () => {
+            expect(playOrder('a !dacoda! b | c !D.C.alcoda! | !coda! d |]')).toBe('abcad');
+            expect(playOrder('a O b | c !D.C.alcoda! | O d |]')).toBe('abcad');
+        });
+
+        test('tras el salto no se repite y suena el último final', () => {
+            expect(playOrder('|: a |1 b :|2 c | !D.C.! |]')).toBe('abacac');
+        });
+    });
+    describe('Partes', () => {
+        const sectionsOf = (abc) => {
+            const parsed = parser.parse(abc);
+            return expander.splitParts(parsed.body, parsed.header.parts)
+                .map(section => section.map(e => e.type === 'part' ? `[${e.label}]` : e.note || '').join(''));
+        };
+
+        test('ordena las secciones según el P: de la cabecera', () => {
+            expect(sectionsOf('X:1\nM:4/4\nL:1/4\nP:AB(CA)2\nK:C\nG|\nP:A\nC D|\nP:B\nE F|\nP:C\nG A|')).toEqual([
+                'G', '[A]CD', '[B]EF', '[C]GA', '[A]CD', '[C]GA', '[A]CD'
+            ]);
+        });
+
+        test('sin orden o sin marcas deja el cuerpo como una sola sección', () => {
+            expect(sectionsOf('X:1\nM:4/4\nL:1/4\nK:C\nP:A\nC D|\nP:B\nE F|')).toEqual(['[A]CD[B]EF']);
+            expect(sectionsOf('X:1\nM:4/4\nL:1/4\nP:AB\nK:C\nC D|')).toEqual(['CD']);
+        });
+    });
+});
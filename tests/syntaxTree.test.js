@@ -0,0 +1,167 @@
+/**
+ * Tests del árbol sintáctico que devuelve ABCParser.parse
+ */
+
+const ABCParser = require('../src/abcParser');
+
+describe('SyntaxTree', () => {
+    let parser;
+
+    // Nodos del cuerpo resumidos: tipo, texto e hijos
+    const summary = (nodes) => nodes.map(node => node.children ?
+        [node.type, node.text, summary(node.children)] :
+        [node.type, node.text]);
+
+    const body = (ast) => ast.children[1].children;
+
+    // Todos los nodos del árbol, en orden
+    const walk = (node) => [node, ...(node.children || []).flatMap(walk)];
+
+    beforeEach(() => {
+        parser = new ABCParser();
+    });
+
+    describe('Nodos', () => {
+        test('la cabecera tiene sus campos, comentarios y saltos de línea', () => {
+            const { ast } = parser.parse('X:1\nT:Prueba % título\n%%MIDI program 1\nK:C\nC');
+            const [header] = ast.children;
+
+            expect(header.type).toBe('header');
+            expect(header.text).toBe('X:1\nT:Prueba % título\n%%MIDI program 1\nK:C\n');
+            expect(summary(header.children)).toEqual([
+                ['field', 'X:1'], ['lineBreak', '\n'],
+                ['field', 'T:Prueba'], ['comment', '% título'], ['lineBreak', '\n'],
+                ['directive', '%%MIDI program 1'], ['lineBreak', '\n'],
+                ['field', 'K:C'], ['lineBreak', '\n']
+            ]);
+            expect(header.children[2]).toMatchObject({ name: 'T', value: 'Prueba', inline: false });
+        });
+
+        test('cada elemento de la música es un nodo', () => {
+            const { ast } = parser.parse('X:1\nL:1/4\nK:C\n"G"!p!(3.C/D/E/ z [K:G] A>B :|[2 Z2|] % fin');
+
+            expect(summary(body(ast))).toEqual([
+                ['chordSymbol', '"G"'], ['decoration', '!p!'], ['tuplet', '(3'], ['decoration', '.'],
+                ['note', 'C/'], ['note', 'D/'], ['note', 'E/'], ['rest', 'z'],
+                ['field', '[K:G]'], ['note', 'A'], ['brokenRhythm', '>'], ['note', 'B'],
+                ['barline', ':|'], ['ending', '[2'], ['rest', 'Z2'], ['barline', '|]'], ['comment', '% fin']
+            ]);
+            expect(body(ast)[8]).toMatchObject({ name: 'K', value: 'G', inline: true });
+        });
+
+        test('las notas de un acorde y de un grupo de adorno son hijas de su nodo', () => {
+            const { ast } = parser.parse('X:1\nK:C\n{/g}[CEG]2 ("^arriba"A B)');
+
+            expect(summary(body(ast))).toEqual([
+                ['graceGroup', '{/g}', [['note', 'g']]],
+                ['chord', '[CEG]2', [['note', 'C'], ['note', 'E'], ['note', 'G']]],
+                ['slurStart', '('], ['annotation', '"^arriba"'], ['note', 'A'], ['note', 'B'], ['slurEnd', ')']
+            ]);
+        });
+
+        test('las líneas de campo, directivas y letras del cuerpo son nodos', () => {
+            const { ast } = parser.parse('X:1\nK:C\nCD|\n%%MIDI program 40\nw: do re\nV:2');
+
+            expect(summary(body(ast))).toEqual([
+                ['note', 'C'], ['note', 'D'], ['barline', '|'], ['lineBreak', '\n'],
+                ['directive', '%%MIDI program 40'], ['lineBreak', '\n'],
+                ['field', 'w: do re'], ['lineBreak', '\n'],
+                ['field', 'V:2']
+            ]);
+        });
+
+        test('un acorde sin cerrar termina en su última nota', () => {
+            const { ast } = parser.parse('X:1\nK:C\n[CE|G]');
+
+            expect(summary(body(ast))).toEqual([
+                ['chord', '[CE', [['note', 'C'], ['note', 'E']]],
+                ['barline', '|'], ['note', 'G'], ['unknown', ']']
+            ]);
+        });
+    });
+
+    describe('Posiciones', () => {
+        test('cada nodo guarda línea, columna y offset de su inicio y su fin', () => {
+            const { ast } = parser.parse('X:1\nK:C\nC2 [DF]|\n  e');
+            const [note, chord, bar, lineBreak, last] = body(ast);
+
+            expect(note).toMatchObject({
+                start: { line: 3, column: 1, offset: 8 },
+                end: { line: 3, column: 3, offset: 10 }
+            });
+            expect(chord.start).toEqual({ line: 3, column: 4, offset: 11 });
+            expect(chord.children[1].start).toEqual({ line: 3, column: 6, offset: 13 });
+            expect(bar.end).toEqual({ line: 3, column: 9, offset: 16 });
+            expect(lineBreak).toMatchObject({ start: { line: 3, column: 9 }, end: { line: 4, column: 1, offset: 17 } });
+            expect(last.start).toEqual({ line: 4, column: 3, offset: 19 });
+        });
+
+        test('el texto de cada nodo es el tramo del tune entre sus posiciones', () => {
+            const abc = 'X:1\nT:Todo % comentario\nM:3/4\nK:D\n"D"A2 {g}[FA]- | !trill!B3 % fin\nw: la la la\nP:B\n(3ABc d2 |]';
+            const { ast } = parser.parse(abc);
+
+            walk(ast).forEach(node => {
+                expect(abc.slice(node.start.offset, node.end.offset)).toBe(node.text);
+            });
+            expect(ast.text).toBe(abc);
+        });
+
+        test('en un cancionero las posiciones son las del archivo', () => {
+            const book = 'L:1/4\n% cabecera\nM:2/4\n\nX:1\nK:C\nC\n\nX:2\nT:Dos\nK:G\nD E|G';
+            const tunes = parser.splitTunes(book).map(tune => parser.parseTune(tune).ast);
+            const [, ast] = tunes;
+            const [header] = ast.children;
+
+            tunes.flatMap(walk).filter(node => !node.children).forEach(node => {
+                expect(book.slice(node.start.offset, node.end.offset)).toBe(node.text);
+            });
+            expect(summary(header.children).filter(([type]) => type === 'field').map(([, text]) => text))
+                .toEqual(['X:2', 'L:1/4', 'M:2/4', 'T:Dos', 'K:G']);
+            expect(header.children[2].start).toEqual({ line: 1, column: 1, offset: 0 });
+            expect(body(ast)[0].start).toEqual({ line: 12, column: 1, offset: book.indexOf('D E') });
+        });
+
+        test('lo que sale de una macro ocupa el texto de la macro', () => {
+            const { ast } = parser.parse('X:1\nm: ~G2 = G/A/G\nU:W=!fermata!\nK:C\n~G2 WC % fin');
+
+            expect(summary(body(ast))).toEqual([
+                ['note', '~G2'], ['note', '~G2'], ['note', '~G2'],
+                ['decoration', 'W'], ['note', 'C'], ['comment', '% fin']
+            ]);
+        });
+    });
+
+    describe('Cuerpo desde el árbol', () => {
+        test('los nodos guardan por voz los elementos que producen', () => {
+            const result = parser.parse('X:1\nK:C\n"C"[CE] z|');
+            const [symbol, chord, rest, bar] = body(result.ast);
+
+            expect(symbol.elements).toEqual({ 1: [result.body[0]] });
+            expect(chord.elements['1'][0]).toBe(result.body[1]);
+            expect(chord.children[0].elements).toBeUndefined();
+            expect(rest.elements['1'][0]).toBe(result.body[2]);
+            expect(bar.voice).toBe('1');
+        });
+
+        test('bodyFromAst devuelve el mismo cuerpo que parse', () => {
+            const result = parser.parse([
+                'X:1', 'M:2/4', 'L:1/8', 'P:AB', 'V:1', 'V:2', 'K:G',
+                'P:A', 'V:1', '|:"G"GA Bc:|', 'V:2', '|:G,2 D,2:|',
+                'P:B', '[V:1] [M:3/4] d2 (3efg a2 | [V:2] !f!G,6 |]'
+            ].join('\n'));
+
+            expect(result.ast.voices).toEqual(['1', '2']);
+            expect(parser.bodyFromAst(result.ast)).toEqual(result.body);
+            expect(parser.bodyFromAst(result.ast, '2')).toEqual(result.voices[1].body);
+        });
+
+        test('sourcesFromAst da el tramo del texto de cada elemento', () => {
+            const result = parser.parse('X:1\nK:C\nC [EG]2 |');
+            const sources = parser.sourcesFromAst(result.ast);
+
+            expect(result.body.map(element => [sources.get(element).start.column, sources.get(element).end.column]))
+                .toEqual([[1, 2], [3, 8], [9, 10]]);
+            expect(sources.get(result.body[1].notes[0])).toBeUndefined();
+        });
+    });
+});